@@ -1,59 +1,110 @@
 var FOLDER_ID = '10T68Hhwr5KaLdvkD38zrVRjK9ik1KvWv';
 
+// CORS: Apps Script can't set response headers or answer preflight (OPTIONS) requests.
+// Responses from ContentService are served with Access-Control-Allow-Origin: *, so the app
+// posts as text/plain (a "simple" request, no preflight) and can read the JSON below.
+// Deploy as a web app executed as the owner with access for "Anyone".
+
 function doPost(e) {
   try {
-    var blob;
-    
-    // 兼容不同的上传方式
-    if (e.postData && e.postData.contents) {
-      // 从浏览器直接上传的情况
-      blob = Utilities.newBlob(
-        e.postData.contents,
-        e.postData.type || 'application/octet-stream',
-        'temp.obj'
-      );
-    } else if (e.postData) {
-      // 尝试使用 getBlob
-      blob = e.postData.getBlob();
-    } else {
+    if (!e.postData) {
       throw new Error('No file data received');
     }
 
-    // 处理文件名
-    var nameBase = e.parameter.filename || ('model_' + new Date().getTime());
-    var filename = nameBase;
-    blob.setName(filename);
+    var upload = parseUpload(e);
+    var sha256 = sha256Hex(upload.bytes);
+    if (upload.sha256 && upload.sha256 !== sha256) {
+      throw new Error('Checksum mismatch: received ' + upload.bytes.length + ' bytes with sha256 ' + sha256 +
+        ', expected ' + upload.sha256);
+    }
 
     // 保存到 Drive
     var folder = DriveApp.getFolderById(FOLDER_ID);
-    var file = folder.createFile(blob);
 
-    var result = {
+    // A retry whose earlier response was lost: reuse the file that already arrived
+    var file = findStoredFile(folder, upload.filename, sha256);
+    if (!file) {
+      file = folder.createFile(Utilities.newBlob(upload.bytes, upload.mimeType, upload.filename));
+
+      // Hash what Drive actually stored, not what we meant to store
+      var storedSha256 = sha256Hex(file.getBlob().getBytes());
+      if (storedSha256 !== sha256) {
+        file.setTrashed(true);
+        throw new Error('Stored file checksum ' + storedSha256 + ' does not match ' + sha256);
+      }
+    }
+
+    return jsonOutput({
       success: true,
-      filename: filename,
+      filename: upload.filename,
       fileId: file.getId(),
       fileUrl: file.getUrl(),
-      createdAt: new Date().toISOString()
-    };
+      sha256: sha256,
+      size: file.getSize(),
+      createdAt: file.getDateCreated().toISOString()
+    });
 
-    return ContentService
-      .createTextOutput(JSON.stringify(result))
-      .setMimeType(ContentService.MimeType.JSON);
+  } catch (err) {
+    return jsonOutput({
+      success: false,
+      error: err.toString(),
+      errorDetails: err.message
+    });
+  }
+}
 
+// Read the upload: JSON { filename, mimeType, sha256, content (base64) } from the app,
+// or the raw file with ?filename= from older clients
+function parseUpload(e) {
+  var body = null;
+  try {
+    body = JSON.parse(e.postData.contents);
   } catch (err) {
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: false,
-        error: err.toString(),
-        errorDetails: err.message
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
+    body = null;
   }
+
+  if (body && typeof body.content === 'string') {
+    return {
+      filename: body.filename || ('model_' + new Date().getTime()),
+      mimeType: body.mimeType || 'application/octet-stream',
+      sha256: body.sha256 || null,
+      bytes: Utilities.base64Decode(body.content)
+    };
+  }
+
+  // 兼容不同的上传方式
+  var blob = e.postData.contents
+    ? Utilities.newBlob(e.postData.contents, e.postData.type || 'application/octet-stream')
+    : e.postData.getBlob();
+  return {
+    filename: e.parameter.filename || ('model_' + new Date().getTime()),
+    mimeType: blob.getContentType() || 'application/octet-stream',
+    sha256: null,
+    bytes: blob.getBytes()
+  };
+}
+
+// Existing file with this name and content, if any
+function findStoredFile(folder, filename, sha256) {
+  var files = folder.getFilesByName(filename);
+  while (files.hasNext()) {
+    var file = files.next();
+    if (!file.isTrashed() && sha256Hex(file.getBlob().getBytes()) === sha256) {
+      return file;
+    }
+  }
+  return null;
 }
 
-// 添加 CORS 支持
-function doOptions(e) {
+// SHA-256 as lowercase hex (same as contentHash.sha256Hex in the app)
+function sha256Hex(bytes) {
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, bytes)
+    .map(function (b) { return ('0' + (b & 0xff).toString(16)).slice(-2); })
+    .join('');
+}
+
+function jsonOutput(data) {
   return ContentService
-    .createTextOutput('')
-    .setMimeType(ContentService.MimeType.TEXT);
-}
\ No newline at end of file
+    .createTextOutput(JSON.stringify(data))
+    .setMimeType(ContentService.MimeType.JSON);
+}
@@ -0,0 +1,103 @@
+/**
+ * Check that Manifold accepts the inscription solids the app builds
+ * Sample text in every built-in font, and the bundled logo, is built with buildInscriptionGeometry
+ * on a flat UV-mapped surface (engrave and emboss, at preview and production subdivision) and
+ * handed to Manifold. Exits non-zero if any solid is rejected, since the carve would then fall
+ * back to three-bvh-csg.
+ *
+ * Usage: node scripts/check-manifold.js [--text "Ag8&"]
+ */
+import fs from 'fs';
+import * as THREE from 'three';
+import { parseArgs } from 'util';
+import { DOMParser } from '@xmldom/xmldom';
+import { BUILT_IN_FONTS, loadFont } from '../src/utils/fontRegistry.js';
+import { layoutTextShapes } from '../src/utils/textLayout.js';
+import { svgToShapes } from '../src/utils/svgShapes.js';
+import { buildInscriptionGeometry, buildUVGrid } from '../src/utils/inscriptionGeometry.js';
+import { initBooleanBackends, checkManifold } from '../src/utils/booleanBackends.js';
+import { PRODUCTION_MAX_TRIANGLE_EDGE } from './lib/orderGeometry.js';
+
+// SVGLoader parses logos with DOMParser, which Node doesn't have
+globalThis.DOMParser ??= DOMParser;
+
+const USAGE = 'Usage: node scripts/check-manifold.js [--text "Ag8&"]';
+
+let args;
+try {
+  args = parseArgs({
+    options: {
+      text: { type: 'string', default: 'Ag8&' }
+    }
+  });
+} catch (error) {
+  console.error(`${error.message}\n${USAGE}`);
+  process.exit(1);
+}
+
+const publicDir = new URL('../public/', import.meta.url);
+const readFile = (file) => fs.promises.readFile(new URL(file, publicDir));
+
+// Flat 100 x 100 mm surface with UVs 0..1 (non-indexed, like the loaded OBJ models)
+const surface = new THREE.Mesh(new THREE.PlaneGeometry(100, 100, 8, 8).toNonIndexed());
+surface.updateMatrixWorld(true);
+const uvGrid = buildUVGrid(surface);
+
+// Centered on the surface, at the app's default size (font size 3)
+const clickData = { uv: new THREE.Vector2(0.3, 0.5), uvTangent: new THREE.Vector2(1, 0) };
+const SAMPLE_SCALE = 0.025;
+const SAMPLE_DEPTH = 0.5;
+
+// Subdivision sizes: preview in the app, and production (CLI / prod mode)
+const TRIANGLE_SIZES = [0.5, PRODUCTION_MAX_TRIANGLE_EDGE];
+
+const samples = [];
+for (const font of BUILT_IN_FONTS) {
+  samples.push({ label: `${font.id} "${args.values.text}"`, shapes: layoutTextShapes(await loadFont(font, { readFile }), args.values.text) });
+}
+samples.push({ label: 'Botai_Logo.svg', shapes: svgToShapes(await readFile('Botai_Logo.svg').then(String)), scale: 0.3 });
+
+if (!await initBooleanBackends()) {
+  console.error('❌ Manifold could not be loaded');
+  process.exit(1);
+}
+
+// buildInscriptionGeometry logs every step; keep the output to one line per solid
+const log = console.log;
+let failures = 0;
+
+for (const { label, shapes, scale = SAMPLE_SCALE } of samples) {
+  for (const mode of ['engrave', 'emboss']) {
+    for (const maxTriangleSize of TRIANGLE_SIZES) {
+      console.log = () => {};
+      const result = buildInscriptionGeometry(shapes, clickData, uvGrid, {
+        textScale: scale,
+        extrudeDepth: SAMPLE_DEPTH,
+        mode,
+        maxTriangleSize
+      });
+      console.log = log;
+
+      const name = `${label}, ${mode}, triangles ≤ ${maxTriangleSize}`;
+      if (result.isOutOfBounds) {
+        failures++;
+        console.error(`❌ ${name}: outside the sample surface`);
+        continue;
+      }
+
+      const { valid, volume, error } = checkManifold(result.geometry);
+      if (!valid || !(volume > 0)) {
+        failures++;
+        console.error(`❌ ${name}: ${error || `volume ${volume}`}`);
+      } else {
+        console.log(`✅ ${name}: ${volume.toFixed(3)} mm³`);
+      }
+      result.geometry.dispose();
+    }
+  }
+}
+
+if (failures > 0) {
+  console.error(`${failures} inscription solid(s) rejected by Manifold`);
+  process.exit(1);
+}
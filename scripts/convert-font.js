@@ -0,0 +1,23 @@
+/**
+ * Convert a TTF/OTF/WOFF file to typeface JSON for public/fonts
+ * Uses the same converter as in-browser font uploads.
+ *
+ * Usage: node scripts/convert-font.js <input.woff> <output.typeface.json>
+ * Then update the font's hash in src/utils/fontRegistry.js (node scripts/hash-fonts.js).
+ */
+import fs from 'fs';
+import { convertFontFile } from '../src/utils/fontConverter.js';
+
+const [input, output] = process.argv.slice(2);
+
+if (!input || !output) {
+  console.error('Usage: node scripts/convert-font.js <input.woff> <output.typeface.json>');
+  process.exit(1);
+}
+
+const file = fs.readFileSync(input);
+const buffer = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+const { name, data } = convertFontFile(buffer, input);
+
+fs.writeFileSync(output, JSON.stringify(data));
+console.log(`✅ ${name}: ${Object.keys(data.glyphs).length} glyphs -> ${output}`);
@@ -0,0 +1,24 @@
+/**
+ * Check the built-in font files in public/fonts against the hashes in the font registry
+ * Prints the current hash of every file and exits non-zero if any differ.
+ *
+ * Usage: node scripts/hash-fonts.js
+ */
+import fs from 'fs';
+import { BUILT_IN_FONTS } from '../src/utils/fontRegistry.js';
+import { sha256Hex } from '../src/utils/contentHash.js';
+
+const publicDir = new URL('../public/', import.meta.url);
+let mismatches = 0;
+
+for (const font of BUILT_IN_FONTS) {
+  const hash = await sha256Hex(fs.readFileSync(new URL(font.file, publicDir)));
+  const matches = hash === font.hash;
+  if (!matches) mismatches++;
+  console.log(`${matches ? '✅' : '❌'} ${font.id.padEnd(14)} ${hash}`);
+}
+
+if (mismatches > 0) {
+  console.error(`${mismatches} font(s) changed - update their hash in src/utils/fontRegistry.js`);
+  process.exit(1);
+}
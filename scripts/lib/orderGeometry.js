@@ -0,0 +1,251 @@
+/**
+ * Order geometry - rebuilds an order's production mesh in Node (no browser, no GPU)
+ * Uses the web app's own modules: inscriptions are mapped with utils/inscriptionGeometry and
+ * carved with utils/carvePipeline, so the result matches "Inscribe" in the app.
+ */
+import fs from 'fs';
+import path from 'path';
+import * as THREE from 'three';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { DOMParser } from '@xmldom/xmldom';
+import { deserializeDesign, findChangedFonts } from '../../src/utils/designSerializer.js';
+import { migrateDesign } from '../../src/utils/designSchema.js';
+import { BUILT_IN_FONTS, findFont, loadFont } from '../../src/utils/fontRegistry.js';
+import { layoutTextShapes, findMissingGlyphs } from '../../src/utils/textLayout.js';
+import { svgToShapes } from '../../src/utils/svgShapes.js';
+import { buildInscriptionGeometry, buildUVGrid } from '../../src/utils/inscriptionGeometry.js';
+import { carveInscriptions } from '../../src/utils/carvePipeline.js';
+import { initBooleanBackends, MANIFOLD_BACKEND } from '../../src/utils/booleanBackends.js';
+import { getOrderMetadata } from '../../src/utils/threeMFExporter.js';
+
+// SVGLoader parses logos with DOMParser, which Node doesn't have
+globalThis.DOMParser ??= DOMParser;
+
+// Model files in public/ (the web app loads the same files)
+export const MODEL_FILES = {
+  uv: 'Morpheus_uv.obj',
+  lofi: 'Morpheus_lofi.obj',
+  clip: 'clip.obj'
+};
+
+// Production settings (prod mode in the web app)
+export const PRODUCTION_TARGET = 'lofi';
+export const PRODUCTION_MAX_TRIANGLE_EDGE = 2.0;
+
+// UV grids per UV model, so batches build the index once
+const uvGridCache = new WeakMap();
+
+// Helper: First mesh in a model
+function findFirstMesh(object) {
+  let mesh = null;
+  object.traverse((child) => {
+    if (child.isMesh && !mesh) mesh = child;
+  });
+  return mesh;
+}
+
+// Helper: First mesh's geometry in world space
+function getWorldGeometry(object) {
+  const mesh = findFirstMesh(object);
+  return mesh.geometry.clone().applyMatrix4(mesh.matrixWorld);
+}
+
+// Helper: Label shown in progress output (same as the app's carve overlay)
+const getInscriptionLabel = (inscription) => (
+  inscription.type === 'svg' ? (inscription.svgName || 'Logo') : inscription.text.replace(/\n/g, ' ')
+);
+
+/**
+ * Confirmation number of an order, from the JSON or its file name (order_XXXXXXXX.json)
+ *
+ * @param {Object} order - Order JSON
+ * @param {string} file - Path of the order file
+ * @returns {string} Confirmation number
+ */
+export function getConfirmationNumber(order, file) {
+  return order.confirmationNumber || path.basename(file, '.json').replace(/^(order|botai)_/, '');
+}
+
+/**
+ * 3MF metadata for an order carved from the given model
+ *
+ * @param {Object} order - Order JSON (any schema version)
+ * @param {string} file - Path of the order file
+ * @param {string} target - Model carved ('lofi' or 'uv')
+ * @returns {Object} Metadata by name (see threeMFExporter.getOrderMetadata)
+ */
+export function getOrder3MFMetadata(order, file, target = PRODUCTION_TARGET) {
+  const design = migrateDesign(order);
+  return getOrderMetadata(design, {
+    confirmationNumber: getConfirmationNumber(order, file),
+    modelVariant: `${design.modelId} (${target})`
+  });
+}
+
+/**
+ * Load the UV, lofi and clip models
+ *
+ * @param {string} modelsDir - Folder with the OBJ files (public/)
+ * @returns {{ uv: THREE.Group, lofi: THREE.Group, clip: THREE.Group }} Models with world matrices updated
+ * @throws {Error} If a model file is missing or has no mesh
+ */
+export function loadModels(modelsDir) {
+  const loader = new OBJLoader();
+  const models = {};
+
+  for (const [key, file] of Object.entries(MODEL_FILES)) {
+    const filePath = path.join(modelsDir, file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Model not found: ${filePath} (pass the folder with ${Object.values(MODEL_FILES).join(', ')} as --models)`);
+    }
+
+    const model = loader.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!findFirstMesh(model)) {
+      throw new Error(`Model has no mesh: ${filePath}`);
+    }
+    model.updateMatrixWorld(true);
+    models[key] = model;
+  }
+
+  return models;
+}
+
+/**
+ * Rebuild the inscription solids of an order
+ *
+ * @param {Object} order - Order/design JSON (any schema version)
+ * @param {Object} uvGrid - UV grid of the UV model (buildUVGrid)
+ * @param {Object} options
+ * @param {string} options.fontsDir - Folder that contains fonts/ (public/)
+ * @param {number} options.maxTriangleSize - Subdivision size in text space
+ * @returns {Promise<{ tools: Array<{ label: string, operation: string, geometry: THREE.BufferGeometry }>, warnings: string[] }>}
+ *   Carve tools, and warnings for inscriptions skipped because they aren't placed (as the app skips them)
+ * @throws {Error} If the order is invalid, nothing is placed, or an inscription can't be built as the app would
+ */
+async function buildTools(order, uvGrid, { fontsDir, maxTriangleSize }) {
+  const design = deserializeDesign(order);
+  const fonts = [...BUILT_IN_FONTS, ...design.fonts];
+  const readFile = (file) => fs.promises.readFile(path.join(fontsDir, file));
+
+  const tools = [];
+  const warnings = [];
+  for (const [index, inscription] of design.inscriptions.entries()) {
+    const label = getInscriptionLabel(inscription);
+    const name = `Inscription ${index + 1} ("${label}")`;
+
+    // The app only carves inscriptions that were placed on the surface
+    if (!inscription.clickData?.uvTangent) {
+      warnings.push(`${name} has no surface placement and was skipped`);
+      continue;
+    }
+
+    let shapes;
+    if (inscription.type === 'svg') {
+      shapes = svgToShapes(inscription.svgSource);
+      if (shapes.length === 0) {
+        throw new Error(`${name}: the SVG has no filled paths`);
+      }
+    } else {
+      const font = await loadFont(findFont(fonts, inscription.font), { readFile });
+      const fallbackFont = inscription.fallbackFont
+        ? await loadFont(findFont(fonts, inscription.fallbackFont), { readFile })
+        : null;
+
+      // The app refuses to carve characters the fonts can't draw
+      const missing = findMissingGlyphs(font, inscription.text, fallbackFont);
+      if (missing.length > 0) {
+        throw new Error(`${name}: the font has no glyphs for ${missing.join(' ')}`);
+      }
+
+      const { layout, align, lineHeight, letterSpacing, kerning, arcRadius, arcStartAngle, arcDirection } = inscription;
+      shapes = layoutTextShapes(font, inscription.text, {
+        layout, align, lineHeight, letterSpacing, kerning, arcRadius, arcStartAngle, arcDirection, fallbackFont
+      });
+    }
+
+    const result = buildInscriptionGeometry(shapes, inscription.clickData, uvGrid, {
+      textScale: inscription.scale,
+      extrudeDepth: inscription.depth,
+      rotation: inscription.rotation,
+      mode: inscription.mode,
+      maxTriangleSize
+    });
+    if (result.isOutOfBounds) {
+      throw new Error(`${name} extends past the edge of the surface (${result.unmappedCount} vertices)`);
+    }
+
+    tools.push({
+      label,
+      operation: inscription.mode === 'emboss' ? 'union' : 'subtract',
+      geometry: result.geometry
+    });
+  }
+
+  if (tools.length === 0) {
+    throw new Error('No inscription is placed on the surface');
+  }
+  return { tools, warnings };
+}
+
+/**
+ * Rebuild the carved production mesh for an order
+ *
+ * @param {Object} order - Order/design JSON (any schema version)
+ * @param {Object} models - Models from loadModels
+ * @param {Object} options
+ * @param {string} options.fontsDir - Folder that contains fonts/ (public/)
+ * @param {string} options.target - Model to carve: 'lofi' (production) or 'uv'
+ * @param {number} options.maxTriangleSize - Subdivision size in text space
+ * @param {Function} options.onProgress - Carve progress ({ stage, step, totalSteps, label })
+ * @returns {Promise<{ geometry: THREE.BufferGeometry, warnings: string[] }>} Carved mesh joined with the clip
+ *   (in the target model's local space), and problems worth a look that didn't stop the carve
+ * @throws {DesignValidationError|Error} If the order is invalid or can't be carved
+ */
+export async function regenerateOrderGeometry(order, models, {
+  fontsDir,
+  target = PRODUCTION_TARGET,
+  maxTriangleSize = PRODUCTION_MAX_TRIANGLE_EDGE,
+  onProgress
+} = {}) {
+  if (!models[target] || target === 'clip') {
+    throw new Error(`Unknown target model: ${target} (use lofi or uv)`);
+  }
+
+  if (!uvGridCache.has(models.uv)) {
+    uvGridCache.set(models.uv, buildUVGrid(models.uv));
+  }
+
+  const { tools, warnings } = await buildTools(order, uvGridCache.get(models.uv), { fontsDir, maxTriangleSize });
+
+  // Same check as loading the order in the app
+  const changedFonts = findChangedFonts(order.fonts, BUILT_IN_FONTS);
+  if (changedFonts.length > 0) {
+    warnings.push(`Font files changed since the order was placed: ${changedFonts.join(', ')}`);
+  }
+
+  // Load Manifold before carving; falls back to three-bvh-csg if it can't load
+  await initBooleanBackends();
+
+  const resultGeometry = carveInscriptions({
+    baseGeometry: getWorldGeometry(models[target]),
+    tools,
+    clipGeometry: getWorldGeometry(models.clip),
+    // Production keeps full detail for manufacturing
+    simplify: false,
+    onProgress
+  });
+
+  // Transform back to local space, as the app does before exporting
+  const targetMesh = findFirstMesh(models[target]);
+  resultGeometry.applyMatrix4(new THREE.Matrix4().copy(targetMesh.matrixWorld).invert());
+
+  // three-bvh-csg results aren't guaranteed watertight
+  const stepLabels = [...tools.map(tool => tool.label), 'clip'];
+  resultGeometry.userData.csgBackends.forEach((backend, index) => {
+    if (backend !== MANIFOLD_BACKEND) {
+      warnings.push(`"${stepLabels[index]}" was carved with ${backend || 'an unknown backend'} (Manifold rejected it); check the mesh is watertight`);
+    }
+  });
+
+  return { geometry: resultGeometry, warnings };
+}
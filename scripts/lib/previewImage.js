@@ -0,0 +1,181 @@
+/**
+ * Preview image - renders a mesh to PNG on the CPU (no browser, no GPU)
+ * Flat-shaded front view looking down -Z, like the app's default camera, fitted to the mesh.
+ * Good enough to spot a misplaced or missing inscription before printing.
+ */
+import zlib from 'zlib';
+
+const BACKGROUND = [245, 245, 245];
+const BASE_COLOR = [204, 204, 204]; // Same grey as the bowtie material (0xcccccc)
+const AMBIENT = 0.35;
+
+// Light from the upper left, slightly in front (normalized)
+const LIGHT = (() => {
+  const [x, y, z] = [-0.4, 0.6, 1];
+  const length = Math.hypot(x, y, z);
+  return [x / length, y / length, z / length];
+})();
+
+// CRC-32 lookup table for PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// Helper: CRC-32 of a buffer
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Helper: One PNG chunk (length, type, data, CRC)
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGB pixels as a PNG
+ *
+ * @param {Uint8Array} pixels - width * height * 3 bytes, rows top to bottom
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer} PNG file
+ */
+export function encodePNG(pixels, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // Bit depth
+  header[9] = 2;  // Color type: RGB
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter
+  header[12] = 0; // Interlace
+
+  // Each row starts with filter type 0 (none)
+  const rowLength = width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (rowLength + 1)] = 0;
+    raw.set(pixels.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Render a geometry to a PNG preview
+ *
+ * @param {THREE.BufferGeometry} geometry - Mesh to render (indexed or not)
+ * @param {Object} options
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @param {number} options.supersample - Samples per pixel along each axis (anti-aliasing)
+ * @returns {Buffer} PNG file
+ */
+export function renderPreviewPNG(geometry, { width = 512, height = 512, supersample = 2 } = {}) {
+  const positions = geometry.attributes.position.array;
+  const index = geometry.index ? geometry.index.array : null;
+  const triangleCount = (index ? index.length : positions.length / 3) / 3;
+
+  // Fit the mesh's X/Y bounds into the image with a margin
+  geometry.computeBoundingBox();
+  const { min, max } = geometry.boundingBox;
+  const renderWidth = width * supersample;
+  const renderHeight = height * supersample;
+  const scale = 0.9 * Math.min(renderWidth / (max.x - min.x || 1), renderHeight / (max.y - min.y || 1));
+  const centerX = (min.x + max.x) / 2;
+  const centerY = (min.y + max.y) / 2;
+
+  // Helper: World X/Y -> render pixel coordinates (Y down)
+  const toScreenX = (x) => renderWidth / 2 + (x - centerX) * scale;
+  const toScreenY = (y) => renderHeight / 2 - (y - centerY) * scale;
+
+  const depth = new Float32Array(renderWidth * renderHeight).fill(-Infinity);
+  const shade = new Float32Array(renderWidth * renderHeight).fill(-1);
+
+  for (let t = 0; t < triangleCount; t++) {
+    const a = (index ? index[t * 3] : t * 3) * 3;
+    const b = (index ? index[t * 3 + 1] : t * 3 + 1) * 3;
+    const c = (index ? index[t * 3 + 2] : t * 3 + 2) * 3;
+
+    // Face normal (the bowtie material is double-sided, so either side faces the camera)
+    const ux = positions[b] - positions[a], uy = positions[b + 1] - positions[a + 1], uz = positions[b + 2] - positions[a + 2];
+    const vx = positions[c] - positions[a], vy = positions[c + 1] - positions[a + 1], vz = positions[c + 2] - positions[a + 2];
+    let nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+    const length = Math.hypot(nx, ny, nz);
+    if (length === 0) continue;
+    if (nz < 0) { nx = -nx; ny = -ny; nz = -nz; }
+    const diffuse = Math.max(0, (nx * LIGHT[0] + ny * LIGHT[1] + nz * LIGHT[2]) / length);
+    const brightness = AMBIENT + (1 - AMBIENT) * diffuse;
+
+    const x0 = toScreenX(positions[a]), y0 = toScreenY(positions[a + 1]), z0 = positions[a + 2];
+    const x1 = toScreenX(positions[b]), y1 = toScreenY(positions[b + 1]), z1 = positions[b + 2];
+    const x2 = toScreenX(positions[c]), y2 = toScreenY(positions[c + 1]), z2 = positions[c + 2];
+
+    const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+    if (area === 0) continue;
+
+    const minX = Math.max(0, Math.floor(Math.min(x0, x1, x2)));
+    const maxX = Math.min(renderWidth - 1, Math.ceil(Math.max(x0, x1, x2)));
+    const minY = Math.max(0, Math.floor(Math.min(y0, y1, y2)));
+    const maxY = Math.min(renderHeight - 1, Math.ceil(Math.max(y0, y1, y2)));
+
+    // Fill pixels whose centers are inside the triangle, keeping the closest (largest Z)
+    for (let py = minY; py <= maxY; py++) {
+      const sy = py + 0.5;
+      for (let px = minX; px <= maxX; px++) {
+        const sx = px + 0.5;
+        const w0 = ((x1 - sx) * (y2 - sy) - (x2 - sx) * (y1 - sy)) / area;
+        const w1 = ((x2 - sx) * (y0 - sy) - (x0 - sx) * (y2 - sy)) / area;
+        const w2 = 1 - w0 - w1;
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+        const z = w0 * z0 + w1 * z1 + w2 * z2;
+        const pixel = py * renderWidth + px;
+        if (z > depth[pixel]) {
+          depth[pixel] = z;
+          shade[pixel] = brightness;
+        }
+      }
+    }
+  }
+
+  // Average the samples of each output pixel
+  const pixels = new Uint8Array(width * height * 3);
+  const samples = supersample * supersample;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = [0, 0, 0];
+      for (let sy = 0; sy < supersample; sy++) {
+        for (let sx = 0; sx < supersample; sx++) {
+          const brightness = shade[(y * supersample + sy) * renderWidth + x * supersample + sx];
+          for (let channel = 0; channel < 3; channel++) {
+            color[channel] += brightness < 0 ? BACKGROUND[channel] : BASE_COLOR[channel] * brightness;
+          }
+        }
+      }
+      const offset = (y * width + x) * 3;
+      for (let channel = 0; channel < 3; channel++) {
+        pixels[offset + channel] = Math.round(color[channel] / samples);
+      }
+    }
+  }
+
+  return encodePNG(pixels, width, height);
+}
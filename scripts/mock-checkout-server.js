@@ -0,0 +1,211 @@
+/**
+ * Mock checkout for testing the order flow offline - creates fake invoices instead of Shopify draft orders
+ * Answers both checkout protocols in utils/checkoutProviders.js:
+ *   POST /checkouts                                   Webhook protocol (provider "mock" or "webhook")
+ *   GET  /api/create-order?productName&price&email    Shopify draft order protocol (provider "shopify")
+ * Each checkout gets an invoice page at /invoices/<id> with a "Pay" button that only marks it paid.
+ * Checkouts are kept in memory until the server stops.
+ *
+ * Point the app at it with:
+ *   VITE_CHECKOUT_PROVIDER=mock npm run dev
+ * (add VITE_CHECKOUT_URL=http://localhost:<port> when not using the default port)
+ *
+ * Usage: node scripts/mock-checkout-server.js [--port 8788]
+ */
+import http from 'http';
+import { parseArgs } from 'util';
+
+const USAGE = 'Usage: node scripts/mock-checkout-server.js [--port 8788]';
+
+let args;
+try {
+  args = parseArgs({
+    options: {
+      port: { type: 'string', default: '8788' }
+    }
+  });
+} catch (error) {
+  console.error(`${error.message}\n${USAGE}`);
+  process.exit(1);
+}
+
+const port = Number(args.values.port);
+if (!Number.isInteger(port) || port <= 0) {
+  console.error(USAGE);
+  process.exit(1);
+}
+const baseUrl = `http://localhost:${port}`;
+
+// The app runs on another origin (the Vite dev server), so allow cross-origin requests
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+// Checkouts by id
+const checkouts = new Map();
+let nextId = 1001;
+
+// Helper: Escape text for HTML
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Helper: Send a JSON response
+function sendJSON(response, status, data) {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(data));
+}
+
+// Helper: Send an HTML page
+function sendPage(response, status, title, body) {
+  response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  response.end(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #f5f5f5; margin: 0; padding: 40px 16px; color: #222; }
+  main { max-width: 480px; margin: 0 auto; background: #fff; border-radius: 12px; padding: 32px; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.08); }
+  .banner { background: #fff3cd; border-radius: 6px; padding: 8px 12px; font-size: 14px; margin-bottom: 24px; }
+  dl { display: grid; grid-template-columns: auto 1fr; gap: 8px 16px; }
+  dt { color: #666; }
+  dd { margin: 0; word-break: break-all; }
+  button, .button { display: inline-block; margin-top: 24px; padding: 12px 24px; border: 0; border-radius: 6px; background: #222; color: #fff; font-size: 16px; text-decoration: none; cursor: pointer; }
+</style>
+</head>
+<body>
+<main>
+<div class="banner">🧪 Mock checkout - no payment is taken</div>
+${body}
+</main>
+</body>
+</html>
+`);
+}
+
+// Helper: Read a request body as text
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Create a checkout and its invoice URL
+ *
+ * @returns {Object} Checkout { id, productName, price, currency, email, confirmationNumber, orderFile, returnUrl, status, invoiceUrl }
+ */
+function createMockCheckout({ productName, price, currency = 'USD', email, confirmationNumber = null, orderFile = null, returnUrl = null }) {
+  if (!productName || !email || !(Number(price) > 0)) {
+    throw new Error('productName, email and a positive price are required');
+  }
+
+  const id = `mock_${nextId++}`;
+  const checkout = {
+    id,
+    productName,
+    price: Number(price),
+    currency,
+    email,
+    confirmationNumber,
+    orderFile,
+    returnUrl,
+    status: 'open',
+    createdAt: new Date().toISOString(),
+    invoiceUrl: `${baseUrl}/invoices/${id}`
+  };
+  checkouts.set(id, checkout);
+  console.log(`🧾 ${id}: ${productName}, ${checkout.price} ${currency}, ${email}${orderFile?.url ? ` (order file ${orderFile.url})` : ''}`);
+  return checkout;
+}
+
+// Invoice page of a checkout
+function renderInvoice(response, checkout) {
+  const paid = checkout.status === 'paid';
+  sendPage(response, 200, `Invoice ${checkout.id}`, `
+<h1>${paid ? '✅ Paid' : 'Invoice'}</h1>
+<dl>
+  <dt>Invoice</dt><dd>${escapeHTML(checkout.id)}</dd>
+  <dt>Product</dt><dd>${escapeHTML(checkout.productName)}</dd>
+  ${checkout.confirmationNumber ? `<dt>Confirmation</dt><dd>${escapeHTML(checkout.confirmationNumber)}</dd>` : ''}
+  <dt>Email</dt><dd>${escapeHTML(checkout.email)}</dd>
+  <dt>Total</dt><dd>${escapeHTML(checkout.price.toFixed(2))} ${escapeHTML(checkout.currency)}</dd>
+  ${checkout.orderFile?.url ? `<dt>Order file</dt><dd>${escapeHTML(checkout.orderFile.url)}</dd>` : ''}
+  ${checkout.orderFile?.sha256 ? `<dt>SHA-256</dt><dd>${escapeHTML(checkout.orderFile.sha256)}</dd>` : ''}
+</dl>
+${paid
+    ? (checkout.returnUrl ? `<a class="button" href="${escapeHTML(checkout.returnUrl)}">Back to the shop</a>` : '')
+    : `<form method="post" action="/invoices/${escapeHTML(checkout.id)}/pay"><button type="submit">Pay ${escapeHTML(checkout.price.toFixed(2))} ${escapeHTML(checkout.currency)}</button></form>`}
+`);
+}
+
+const server = http.createServer(async (request, response) => {
+  const url = new URL(request.url, baseUrl);
+  const invoiceMatch = url.pathname.match(/^\/invoices\/([\w-]+)(\/pay)?$/);
+
+  try {
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, CORS_HEADERS);
+      response.end();
+      return;
+    }
+
+    // Webhook protocol
+    if (request.method === 'POST' && url.pathname === '/checkouts') {
+      const checkout = createMockCheckout(JSON.parse(await readBody(request)));
+      sendJSON(response, 200, { checkoutUrl: checkout.invoiceUrl, checkoutId: checkout.id });
+      return;
+    }
+
+    // Shopify draft order protocol
+    if (request.method === 'GET' && url.pathname === '/api/create-order') {
+      const checkout = createMockCheckout(Object.fromEntries(url.searchParams));
+      sendJSON(response, 200, { checkoutUrl: checkout.invoiceUrl, invoice_url: checkout.invoiceUrl, draftOrderId: checkout.id });
+      return;
+    }
+
+    if (invoiceMatch) {
+      const checkout = checkouts.get(invoiceMatch[1]);
+      if (!checkout) {
+        sendPage(response, 404, 'Invoice not found', '<h1>Invoice not found</h1><p>Mock checkouts are lost when the server restarts.</p>');
+        return;
+      }
+      if (request.method === 'POST' && invoiceMatch[2]) {
+        checkout.status = 'paid';
+        checkout.paidAt = new Date().toISOString();
+        console.log(`💳 ${checkout.id}: paid`);
+        response.writeHead(303, { Location: `/invoices/${checkout.id}` });
+        response.end();
+        return;
+      }
+      if (request.method === 'GET' && !invoiceMatch[2]) {
+        renderInvoice(response, checkout);
+        return;
+      }
+    }
+
+    // All checkouts, for checking what the app sent
+    if (request.method === 'GET' && url.pathname === '/checkouts') {
+      sendJSON(response, 200, [...checkouts.values()]);
+      return;
+    }
+
+    sendJSON(response, 404, { error: `Not found: ${request.method} ${url.pathname}` });
+  } catch (error) {
+    console.error(`❌ ${request.method} ${url.pathname}: ${error.message}`);
+    sendJSON(response, 400, { error: error.message });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`🛒 Mock checkout at ${baseUrl} (invoices at ${baseUrl}/invoices/<id>)`);
+});
@@ -0,0 +1,214 @@
+/**
+ * Batch-process a folder of orders into production STLs, 3MFs and preview images
+ * Each order_*.json is carved like scripts/regenerate-stl.js, then moved to the done folder
+ * (or the failed folder with the reason in the report). Every run writes a JSON report with
+ * the status, warnings and processing time of each order.
+ *
+ * Usage: node scripts/process-orders.js <orders-dir> [options]
+ *   --out <dir>        STLs, 3MFs, previews and reports (default: <orders-dir>/output)
+ *   --done <dir>       Where finished orders are moved (default: <orders-dir>/done)
+ *   --failed <dir>     Where orders that couldn't be carved are moved (default: <orders-dir>/failed)
+ *   --models <dir>     Folder with the OBJ models and fonts/ (default: public)
+ *   --units <u>        Units the models are built in (mm, cm, m, in); STLs are always in mm (default: mm)
+ *   --ascii            Write ASCII STLs instead of binary
+ *   --watch            Keep running and pick up new orders as they arrive
+ *   --interval <s>     Seconds between scans in watch mode (default: 10)
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { geometryToSTLFile, getUnitScale, MODEL_UNITS } from '../src/utils/stlExporter.js';
+import { geometryTo3MF } from '../src/utils/threeMFExporter.js';
+import { getConfirmationNumber, getOrder3MFMetadata, loadModels, regenerateOrderGeometry } from './lib/orderGeometry.js';
+import { renderPreviewPNG } from './lib/previewImage.js';
+
+const USAGE = 'Usage: node scripts/process-orders.js <orders-dir> [--out dir] [--done dir] [--failed dir] [--models public] [--units mm] [--ascii] [--watch] [--interval 10]';
+const ORDER_FILE_PATTERN = /^order_.+\.json$/;
+
+// Files changed more recently than this may still be being written (watch mode)
+const SETTLE_MS = 2000;
+
+// Set by Ctrl+C: finish the current order, then exit
+let stopping = false;
+let busy = false;
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string' },
+      done: { type: 'string' },
+      failed: { type: 'string' },
+      models: { type: 'string', default: 'public' },
+      units: { type: 'string', default: MODEL_UNITS },
+      ascii: { type: 'boolean', default: false },
+      watch: { type: 'boolean', default: false },
+      interval: { type: 'string', default: '10' }
+    }
+  });
+} catch (error) {
+  console.error(`${error.message}\n${USAGE}`);
+  process.exit(1);
+}
+
+const { values, positionals } = args;
+const [ordersDir] = positionals;
+const intervalMs = Number(values.interval) * 1000;
+
+if (!ordersDir || positionals.length > 1 || !(intervalMs > 0)) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+let unitScale;
+try {
+  unitScale = getUnitScale(values.units);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+const stlFormat = values.ascii ? 'ascii' : 'binary';
+if (!fs.existsSync(ordersDir)) {
+  console.error(`❌ Orders folder not found: ${ordersDir}`);
+  process.exit(1);
+}
+
+const outDir = values.out || path.join(ordersDir, 'output');
+const doneDir = values.done || path.join(ordersDir, 'done');
+const failedDir = values.failed || path.join(ordersDir, 'failed');
+[outDir, doneDir, failedDir].forEach(dir => fs.mkdirSync(dir, { recursive: true }));
+
+// Helper: Move a file into a folder (replacing an older file of the same name)
+function moveInto(file, dir) {
+  fs.renameSync(file, path.join(dir, path.basename(file)));
+}
+
+// Helper: Order files ready to process, oldest name first
+function findPendingOrders() {
+  const now = Date.now();
+  return fs.readdirSync(ordersDir)
+    .filter(name => ORDER_FILE_PATTERN.test(name))
+    .map(name => path.join(ordersDir, name))
+    .filter(file => fs.statSync(file).isFile() && now - fs.statSync(file).mtimeMs >= (values.watch ? SETTLE_MS : 0))
+    .sort();
+}
+
+/**
+ * Carve one order and write its STL, 3MF and preview
+ *
+ * @returns {Promise<Object>} Report entry
+ *   { file, confirmationNumber, status: 'ok' | 'warning' | 'failed', warnings, error?, stl?, threeMF?, preview?, seconds }
+ */
+async function processOrder(file, models) {
+  const startedAt = Date.now();
+  const entry = { file: path.basename(file), confirmationNumber: null, status: 'failed', warnings: [] };
+  console.log(`\n📋 ${entry.file}`);
+
+  try {
+    const order = JSON.parse(fs.readFileSync(file, 'utf8'));
+    entry.confirmationNumber = getConfirmationNumber(order, file);
+
+    const { geometry, warnings } = await regenerateOrderGeometry(order, models, {
+      fontsDir: values.models,
+      onProgress: ({ stage, step, totalSteps, label }) => console.log(`🔪 [${step + 1}/${totalSteps}] ${stage}: ${label}`)
+    });
+
+    // Same naming as the app's STL download
+    const baseName = `botai_${entry.confirmationNumber}`;
+    entry.stl = `${baseName}.stl`;
+    entry.threeMF = `${baseName}.3mf`;
+    entry.preview = `${baseName}.png`;
+    const preview = renderPreviewPNG(geometry);
+    fs.writeFileSync(path.join(outDir, entry.stl), Buffer.from(geometryToSTLFile(geometry, { format: stlFormat, unitScale })));
+    fs.writeFileSync(path.join(outDir, entry.threeMF), geometryTo3MF(geometry, {
+      metadata: getOrder3MFMetadata(order, file),
+      thumbnail: preview,
+      unitScale
+    }));
+    fs.writeFileSync(path.join(outDir, entry.preview), preview);
+
+    entry.warnings = warnings;
+    entry.status = warnings.length > 0 ? 'warning' : 'ok';
+    warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+    moveInto(file, doneDir);
+    console.log(`✅ ${entry.stl}, ${entry.threeMF}, ${entry.preview}`);
+  } catch (error) {
+    entry.error = error.message;
+    moveInto(file, failedDir);
+    console.error(`❌ ${error.message}`);
+  }
+
+  entry.seconds = Number(((Date.now() - startedAt) / 1000).toFixed(1));
+  return entry;
+}
+
+/**
+ * Write the report of one pass and print a summary
+ */
+function writeReport(entries, startedAt) {
+  const count = (status) => entries.filter(entry => entry.status === status).length;
+  const report = {
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    ordersDir: path.resolve(ordersDir),
+    totals: { processed: entries.length, ok: count('ok'), warning: count('warning'), failed: count('failed') },
+    orders: entries
+  };
+
+  const reportFile = path.join(outDir, `report_${startedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+
+  const { processed, ok, warning, failed } = report.totals;
+  console.log(`\n📊 ${processed} orders: ${ok} ok, ${warning} with warnings, ${failed} failed -> ${reportFile}`);
+  return report;
+}
+
+/**
+ * Process every pending order once
+ *
+ * @returns {Promise<Object|null>} Report, or null if there was nothing to do
+ */
+async function processPending(models) {
+  const files = findPendingOrders();
+  if (files.length === 0) return null;
+
+  const startedAt = new Date();
+  const entries = [];
+  for (const file of files) {
+    entries.push(await processOrder(file, models));
+    if (stopping) break;
+  }
+  return writeReport(entries, startedAt);
+}
+
+let models;
+try {
+  console.log(`📦 Loading models from ${values.models}...`);
+  models = loadModels(values.models);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// In watch mode, Ctrl+C lets the current order finish
+process.on('SIGINT', () => {
+  if (!busy) process.exit(0);
+  stopping = true;
+  console.log('\n⏹️ Stopping after the current order...');
+});
+
+if (!values.watch) {
+  const report = await processPending(models);
+  if (!report) console.log(`No order_*.json files in ${ordersDir}`);
+  process.exit(report?.totals.failed > 0 ? 1 : 0);
+}
+
+console.log(`👀 Watching ${ordersDir} for orders (Ctrl+C to stop)`);
+while (!stopping) {
+  busy = true;
+  await processPending(models);
+  busy = false;
+  if (stopping) break;
+  await new Promise(resolve => setTimeout(resolve, intervalMs));
+}
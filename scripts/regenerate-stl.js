@@ -0,0 +1,85 @@
+/**
+ * Regenerate the production STL for an order, without a browser or GPU
+ * Rebuilds every inscription with the web app's UV mapping and runs the same carve
+ * (engrave/emboss, then union with the clip) as "Inscribe" in prod mode.
+ * An output file ending in .3mf is written as 3MF with order metadata and a preview thumbnail.
+ *
+ * Usage: node scripts/regenerate-stl.js <order.json> [options]
+ *   -o, --output <file>          Output .stl or .3mf (default: botai_<confirmationNumber>.stl next to the order)
+ *   --models <dir>               Folder with the OBJ models and fonts/ (default: public)
+ *   --target <lofi|uv>           Model to carve (default: lofi, as in production)
+ *   --max-triangle-edge <n>      Inscription subdivision size (default: 2, as in production)
+ *   --units <mm|cm|m|in>         Units the models are built in; the STL is always in mm (default: mm)
+ *   --ascii                      Write ASCII STL instead of binary
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { geometryToSTLFile, getUnitScale, MODEL_UNITS } from '../src/utils/stlExporter.js';
+import { geometryTo3MF } from '../src/utils/threeMFExporter.js';
+import {
+  getConfirmationNumber, getOrder3MFMetadata, loadModels, regenerateOrderGeometry, PRODUCTION_TARGET, PRODUCTION_MAX_TRIANGLE_EDGE
+} from './lib/orderGeometry.js';
+import { renderPreviewPNG } from './lib/previewImage.js';
+
+const USAGE = 'Usage: node scripts/regenerate-stl.js <order.json> [-o out.stl|out.3mf] [--models public] [--target lofi|uv] [--max-triangle-edge 2] [--units mm] [--ascii]';
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      models: { type: 'string', default: 'public' },
+      target: { type: 'string', default: PRODUCTION_TARGET },
+      'max-triangle-edge': { type: 'string', default: String(PRODUCTION_MAX_TRIANGLE_EDGE) },
+      units: { type: 'string', default: MODEL_UNITS },
+      ascii: { type: 'boolean', default: false }
+    }
+  });
+} catch (error) {
+  console.error(`${error.message}\n${USAGE}`);
+  process.exit(1);
+}
+
+const { values, positionals } = args;
+const [input] = positionals;
+const maxTriangleSize = Number(values['max-triangle-edge']);
+
+if (!input || positionals.length > 1 || !(maxTriangleSize > 0)) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+try {
+  const unitScale = getUnitScale(values.units);
+  const order = JSON.parse(fs.readFileSync(input, 'utf8'));
+
+  // Same naming as the app's STL download
+  const output = values.output || path.join(path.dirname(input), `botai_${getConfirmationNumber(order, input)}.stl`);
+
+  console.log(`📦 Loading models from ${values.models}...`);
+  const models = loadModels(values.models);
+
+  const { geometry, warnings } = await regenerateOrderGeometry(order, models, {
+    fontsDir: values.models,
+    target: values.target,
+    maxTriangleSize,
+    onProgress: ({ stage, step, totalSteps, label }) => console.log(`🔪 [${step + 1}/${totalSteps}] ${stage}: ${label}`)
+  });
+
+  if (output.toLowerCase().endsWith('.3mf')) {
+    fs.writeFileSync(output, geometryTo3MF(geometry, {
+      metadata: getOrder3MFMetadata(order, input, values.target),
+      thumbnail: renderPreviewPNG(geometry, { width: 256, height: 256 }),
+      unitScale
+    }));
+  } else {
+    fs.writeFileSync(output, Buffer.from(geometryToSTLFile(geometry, { format: values.ascii ? 'ascii' : 'binary', unitScale })));
+  }
+  warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+  console.log(`✅ ${output}: ${geometry.attributes.position.count} vertices (backends: ${geometry.userData.csgBackends.join(', ')})`);
+} catch (error) {
+  console.error(`❌ ${input}: ${error.message}`);
+  process.exit(1);
+}
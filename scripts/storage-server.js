@@ -0,0 +1,132 @@
+/**
+ * Local order storage for testing - saves uploads from the app into a folder
+ * Speaks the "http" storage backend (utils/orderStorage.js): PUT /<filename> or POST /?filename=<filename>
+ * with the raw file. An x-amz-checksum-sha256 header is checked like S3 does, and the response
+ * reports the stored file's checksum so the app can verify it.
+ *
+ * Point the app at it with:
+ *   VITE_STORAGE_BACKEND=http VITE_STORAGE_URL=http://localhost:8787 npm run dev
+ * and the folder can be fed straight to scripts/process-orders.js --watch.
+ *
+ * Usage: node scripts/storage-server.js [options]
+ *   --dir <dir>      Folder to store files in (default: orders)
+ *   --port <port>    Port to listen on (default: 8787)
+ */
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { parseArgs } from 'util';
+
+const USAGE = 'Usage: node scripts/storage-server.js [--dir orders] [--port 8787]';
+
+let args;
+try {
+  args = parseArgs({
+    options: {
+      dir: { type: 'string', default: 'orders' },
+      port: { type: 'string', default: '8787' }
+    }
+  });
+} catch (error) {
+  console.error(`${error.message}\n${USAGE}`);
+  process.exit(1);
+}
+
+const { values } = args;
+const port = Number(values.port);
+if (!Number.isInteger(port) || port <= 0) {
+  console.error(USAGE);
+  process.exit(1);
+}
+fs.mkdirSync(values.dir, { recursive: true });
+
+// The app runs on another origin (the Vite dev server), so allow cross-origin uploads
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'PUT, POST, GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, x-amz-checksum-sha256'
+};
+
+// Helper: Send a JSON response
+function sendJSON(response, status, data) {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(data));
+}
+
+// Helper: File name from the request, without any directory parts
+function getFilename(request, url) {
+  const name = request.method === 'PUT'
+    ? decodeURIComponent(url.pathname.slice(1))
+    : url.searchParams.get('filename');
+  const filename = path.basename(name || '');
+  return filename && filename !== '.' && filename !== '..' ? filename : null;
+}
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url, `http://localhost:${port}`);
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS);
+    response.end();
+    return;
+  }
+
+  // Stored files can be fetched back (the url the app records)
+  if (request.method === 'GET') {
+    const filename = getFilename({ method: 'PUT' }, url);
+    const file = filename && path.join(values.dir, filename);
+    if (!file || !fs.existsSync(file)) {
+      sendJSON(response, 404, { success: false, error: 'Not found' });
+      return;
+    }
+    response.writeHead(200, CORS_HEADERS);
+    fs.createReadStream(file).pipe(response);
+    return;
+  }
+
+  if (request.method !== 'PUT' && request.method !== 'POST') {
+    sendJSON(response, 405, { success: false, error: `Method not allowed: ${request.method}` });
+    return;
+  }
+
+  const filename = getFilename(request, url);
+  if (!filename) {
+    sendJSON(response, 400, { success: false, error: 'Missing file name' });
+    return;
+  }
+
+  const chunks = [];
+  request.on('data', chunk => chunks.push(chunk));
+  request.on('end', () => {
+    const body = Buffer.concat(chunks);
+    const digest = crypto.createHash('sha256').update(body).digest();
+
+    const expected = request.headers['x-amz-checksum-sha256'];
+    if (expected && expected !== digest.toString('base64')) {
+      console.error(`❌ ${filename}: checksum mismatch, not stored`);
+      sendJSON(response, 400, { success: false, error: 'Checksum mismatch' });
+      return;
+    }
+
+    // Write next to the target and rename, so a watching process-orders.js never sees half a file
+    const file = path.join(values.dir, filename);
+    const partial = path.join(values.dir, `.${filename}.part`);
+    fs.writeFileSync(partial, body);
+    fs.renameSync(partial, file);
+
+    const sha256 = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+    console.log(`📥 ${filename} (${body.length} bytes)`);
+    sendJSON(response, 200, {
+      success: true,
+      filename,
+      url: `http://localhost:${port}/${encodeURIComponent(filename)}`,
+      sha256,
+      size: fs.statSync(file).size
+    });
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🗄️ Storing uploads in ${path.resolve(values.dir)} at http://localhost:${port}`);
+});
@@ -9,41 +9,102 @@ import ClipModel from './components/Scene/ClipModel';
 import SurfaceRaycaster from './components/SurfaceInscription/SurfaceRaycaster';
 import ClickMarker from './components/SurfaceInscription/ClickMarker';
 import UVTextMapper from './components/SurfaceInscription/UVTextMapper';
+import TransformGizmo from './components/SurfaceInscription/TransformGizmo';
 import UVPanel from './components/UI/UVPanel';
 import ControlPanel from './components/UI/ControlPanel';
 import { useTutorial } from './components/UI/Tutorial';
-import { subtractGeometry, unionGeometry } from './utils/csgUtils';
-import { downloadSTL, uploadToGoogleDrive, generateGUID } from './utils/stlExporter';
+import { startCarveJob, CarveCancelledError } from './utils/carveClient';
+import { downloadSTL, generateGUID } from './utils/stlExporter';
+import { uploadOrderFile, UploadError } from './utils/orderStorage';
+import { createCheckout, getCheckoutProvider } from './utils/checkoutProviders';
+import { download3MF, getOrderMetadata } from './utils/threeMFExporter';
+import { downloadOBJ } from './utils/objExporter';
+import { buildARScene, sceneToGLB, sceneToUSDZ, downloadGLB, downloadUSDZ, supportsARQuickLook, openARQuickLook } from './utils/arExporter';
+import { serializeDesign, serializeInscription, deserializeDesign, findChangedFonts } from './utils/designSerializer';
+import { saveAutosave, loadAutosave, saveSlot, listSlots, loadSlot, deleteSlot } from './utils/designStorage';
+import { createShareUrl, decodeDesign, readSharedDesign } from './utils/shareLink';
+import { DEFAULT_ARC_RADIUS, DEFAULT_LINE_HEIGHT, DEFAULT_LETTER_SPACING, findMissingGlyphs } from './utils/textLayout';
+import { calculatePrice, CURRENCY } from './utils/pricing';
+import { svgToShapes } from './utils/svgShapes';
+import { loadFontFile } from './utils/fontConverter';
+import { BUILT_IN_FONTS, DEFAULT_FONT_ID, findFont, loadFont, getMinFontSize } from './utils/fontRegistry';
+import { createUndoHistory } from './utils/undoHistory';
 import './App.css';
 
 // Generate unique ID
 let inscriptionIdCounter = 1;
 const generateId = () => `inscription-${inscriptionIdCounter++}`;
 
-// Available fonts (Three.js built-in + Google Fonts via @compai)
-const AVAILABLE_FONTS = [
-  // Three.js built-in fonts
-  { id: 'helvetiker', name: 'Helvetica', url: 'https://threejs.org/examples/fonts/helvetiker_regular.typeface.json' },
-  { id: 'optimer', name: 'Optimer', url: 'https://threejs.org/examples/fonts/optimer_regular.typeface.json' },
-  { id: 'gentilis', name: 'Gentilis', url: 'https://threejs.org/examples/fonts/gentilis_regular.typeface.json' },
-  // Google Fonts via @compai (jsdelivr CDN)
-  { id: 'roboto', name: 'Roboto', url: 'https://cdn.jsdelivr.net/npm/@compai/font-roboto@0.0.4/data/typefaces/normal-400.json' },
-  { id: 'open-sans', name: 'Open Sans', url: 'https://cdn.jsdelivr.net/npm/@compai/font-open-sans@0.0.4/data/typefaces/normal-400.json' },
-  { id: 'merriweather', name: 'Merriweather', url: 'https://cdn.jsdelivr.net/npm/@compai/font-merriweather@0.0.4/data/typefaces/normal-400.json' }
-];
-
 // Default inscription values
 const createDefaultInscription = () => ({
   id: generateId(),
+  type: 'text', // 'text' (typeface glyphs) or 'svg' (uploaded logo)
   text: 'Botai',
   scale: 0.015,
   depth: 0.5,
-  font: 'helvetiker',
+  font: DEFAULT_FONT_ID,
+  fallbackFont: null, // Font id for characters the main font lacks
   rotation: 0,
+  mode: 'engrave', // 'engrave' (carved into the surface) or 'emboss' (raised above it)
+  align: 'left', // 'left', 'center' or 'right' relative to the click point
+  lineHeight: DEFAULT_LINE_HEIGHT, // Multiplier of the font's line height (multi-line text)
+  letterSpacing: DEFAULT_LETTER_SPACING, // Extra gap after each glyph (font-size units)
+  kerning: {}, // Extra gap per letter pair, e.g. { 'AV': -0.05 } (font-size units)
+  layout: 'straight', // 'straight' baseline or 'arc' along a circle
+  arcRadius: DEFAULT_ARC_RADIUS, // In font-size units
+  arcStartAngle: 0, // Degrees along the arc where the text starts
+  arcDirection: 'convex', // 'convex' (curves down) or 'concave' (curves up)
+  svgSource: null, // SVG document text (svg inscriptions)
+  svgName: null, // Uploaded SVG file name
   clickData: null,
   geometry: null
 });
 
+// Undo labels for inscription fields (first changed field wins)
+const UPDATE_LABELS = {
+  type: 'Change type',
+  text: 'Edit text',
+  font: 'Change font',
+  fallbackFont: 'Change fallback font',
+  scale: 'Resize',
+  depth: 'Change depth',
+  rotation: 'Rotate',
+  mode: 'Change style',
+  align: 'Change alignment',
+  lineHeight: 'Change line spacing',
+  letterSpacing: 'Change letter spacing',
+  kerning: 'Change kerning',
+  layout: 'Change layout',
+  arcRadius: 'Change arc',
+  arcStartAngle: 'Change arc',
+  arcDirection: 'Change arc',
+  svgSource: 'Load logo'
+};
+
+// Helper: Undo label for an inscription update
+const describeUpdate = (updates) => UPDATE_LABELS[Object.keys(updates)[0]] || 'Edit inscription';
+
+// Wait this long after the last change before autosaving
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Helper: Alert text for fonts that changed since a design was made
+const describeChangedFonts = (changedFonts) => (changedFonts.length > 0
+  ? `\n\n⚠️ Font file changed since this design was made: ${changedFonts.join(', ')}`
+  : '');
+
+// Helper: Short name of an inscription (carve progress, export part names)
+const getInscriptionLabel = (inscription) => (
+  inscription.type === 'svg' ? (inscription.svgName || 'Logo') : inscription.text.replace(/\n/g, ' ')
+);
+
+// OBJ export colors for inscription tools, so engraved and embossed parts are told apart in Blender
+const ENGRAVE_OBJ_MATERIAL = new THREE.MeshStandardMaterial({ color: 0xd94a4a });
+const EMBOSS_OBJ_MATERIAL = new THREE.MeshStandardMaterial({ color: 0x4a7fd9 });
+
+// Helper: Skip app shortcuts while typing (text fields keep their own undo)
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
 function App() {
   // Check URL parameter for mode (dev or prod, default is prod)
   // Check URL parameter for mode (dev or prod, default is prod)
@@ -83,10 +144,17 @@ function App() {
   
   // Inscribing state
   const [isInscribing, setIsInscribing] = useState(false);
+  const [carveProgress, setCarveProgress] = useState(null); // { stage, step, totalSteps, label }
   
   // Hover state for preview dot
   const [hoverData, setHoverData] = useState(null);
   
+  // Inscription being dragged across the surface (null when not dragging)
+  const [draggingInscriptionId, setDraggingInscriptionId] = useState(null);
+  
+  // Whether a gizmo handle (rotation ring or scale corner) is being dragged
+  const [isTransforming, setIsTransforming] = useState(false);
+  
   // Order state
   const [email, setEmail] = useState('');
   const [isOrdering, setIsOrdering] = useState(false);
@@ -94,6 +162,19 @@ function App() {
   // Loaded order confirmation number (from JSON)
   const [loadedConfirmationNumber, setLoadedConfirmationNumber] = useState(null);
   
+  // Fonts uploaded at runtime (typeface JSON converted in the browser)
+  const [customFonts, setCustomFonts] = useState([]);
+  const availableFonts = useMemo(() => [...BUILT_IN_FONTS, ...customFonts], [customFonts]);
+  
+  // Autosaved session from the last visit, offered for restore ({ savedAt, design } or null)
+  const [restoreOffer, setRestoreOffer] = useState(null);
+  // Named design slots saved in the browser ({ id, name, savedAt })
+  const [savedSlots, setSavedSlots] = useState([]);
+  
+  // Characters no font can draw, per text inscription: { inscriptionId: ['日', ...] }
+  const [glyphWarnings, setGlyphWarnings] = useState({});
+  const hasMissingGlyphs = Object.keys(glyphWarnings).length > 0;
+  
   // Tutorial
   const tutorial = useTutorial(isLoading);
   
@@ -101,6 +182,11 @@ function App() {
   const morpheusRef = useRef(null);  // UV model (always used for raycast/UV mapping)
   const lofiRef = useRef(null);       // Lofi model (visible in prod, receives CSG)
   const clipRef = useRef(null);
+  const orbitControlsRef = useRef(null);
+  const threeStateRef = useRef(null);  // Renderer, scene and camera (for thumbnails)
+  
+  // Running carve job (worker) so it can be cancelled
+  const carveJobRef = useRef(null);
   
   // Store original geometry for reset
   const originalGeometryRef = useRef(null);      // For UV model
@@ -108,6 +194,24 @@ function App() {
   
   // Store last valid clickData for each inscription (to restore if new click goes out of bounds)
   const lastValidClickDataRef = useRef({});
+  
+  // Inscriptions at startup - nothing is autosaved until they change
+  const initialInscriptionsRef = useRef(inscriptions);
+
+  // Serialized inscriptions of a design opened by link - not autosaved until the user edits it
+  const sharedDesignRef = useRef(null);
+  
+  // Undo/redo history of design snapshots (see utils/undoHistory)
+  const historyRef = useRef(null);
+  if (!historyRef.current) {
+    historyRef.current = createUndoHistory();
+  }
+  const [historyStatus, setHistoryStatus] = useState({ canUndo: false, canRedo: false, undoLabel: null, redoLabel: null });
+  // Latest state for snapshots taken inside stable callbacks
+  const historyStateRef = useRef(null);
+  historyStateRef.current = { inscriptions, selectedInscriptionId, uvWarnings, isCarved };
+  // Id of the current drag gesture, so a whole drag undoes as one step
+  const gestureIdRef = useRef(0);
 
   // Get selected inscription
   const selectedInscription = useMemo(() => 
@@ -115,11 +219,105 @@ function App() {
     [inscriptions, selectedInscriptionId]
   );
 
+  // Helper: the mesh that receives carving (lofi in prod, UV model in dev)
+  const getTargetMesh = useCallback(() => {
+    const targetRef = devMode ? morpheusRef : lofiRef;
+    let targetMesh = null;
+    targetRef.current?.traverse((child) => {
+      if (child.isMesh && !targetMesh) {
+        targetMesh = child;
+      }
+    });
+    return targetMesh;
+  }, [devMode]);
+
+  // Helper: everything undo/redo restores (inscription geometries are kept so they needn't regenerate)
+  const takeSnapshot = useCallback(() => ({
+    ...historyStateRef.current,
+    meshGeometry: getTargetMesh()?.geometry || null
+  }), [getTargetMesh]);
+
+  const syncHistoryStatus = useCallback(() => {
+    const history = historyRef.current;
+    setHistoryStatus({
+      canUndo: history.canUndo,
+      canRedo: history.canRedo,
+      undoLabel: history.undoLabel,
+      redoLabel: history.redoLabel
+    });
+  }, []);
+
+  // Record the state before a change
+  const recordHistory = useCallback((label, options = {}, snapshot = takeSnapshot()) => {
+    if (historyRef.current.record(snapshot, { label, ...options })) {
+      syncHistoryStatus();
+    }
+  }, [takeSnapshot, syncHistoryStatus]);
+
+  // Put a snapshot back, including the carved (or uncarved) mesh
+  const restoreSnapshot = useCallback((snapshot) => {
+    const targetMesh = getTargetMesh();
+    if (targetMesh && snapshot.meshGeometry && targetMesh.geometry !== snapshot.meshGeometry) {
+      // Geometries disposed by carve/reset upload again on the next render
+      targetMesh.geometry = snapshot.meshGeometry;
+    }
+
+    setInscriptions(snapshot.inscriptions);
+    setSelectedInscriptionId(snapshot.selectedInscriptionId);
+    setUvWarnings(snapshot.uvWarnings);
+
+    if (snapshot.isCarved !== historyStateRef.current.isCarved) {
+      setIsCarved(snapshot.isCarved);
+      setShowTextMesh(!snapshot.isCarved);
+      setShowClipModel(!snapshot.isCarved);
+    }
+  }, [getTargetMesh]);
+
+  const handleUndo = useCallback(() => {
+    const snapshot = historyRef.current.undo(takeSnapshot());
+    if (!snapshot) return;
+    restoreSnapshot(snapshot);
+    syncHistoryStatus();
+    console.log('↶ Undo');
+  }, [takeSnapshot, restoreSnapshot, syncHistoryStatus]);
+
+  const handleRedo = useCallback(() => {
+    const snapshot = historyRef.current.redo(takeSnapshot());
+    if (!snapshot) return;
+    restoreSnapshot(snapshot);
+    syncHistoryStatus();
+    console.log('↷ Redo');
+  }, [takeSnapshot, restoreSnapshot, syncHistoryStatus]);
+
+  // No history steps in the middle of carving or dragging
+  const isHistoryLocked = isInscribing || isTransforming || draggingInscriptionId !== null;
+
+  // Keyboard shortcuts: Ctrl+Z undo, Ctrl+Shift+Z / Ctrl+Y redo (Cmd on macOS)
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (isEditableTarget(event.target) || isHistoryLocked) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo, isHistoryLocked]);
+
   // Handle surface click - assign to selected inscription
   const handleSurfaceClick = useCallback((data) => {
     if (isCarved) return; // Don't allow clicks after carving
     
     console.log('📍 Surface clicked:', data);
+    recordHistory('Place inscription');
     
     // Clear any reverted warning when user clicks again
     setUvWarnings(prev => {
@@ -135,7 +333,68 @@ function App() {
         ? { ...inscription, clickData: data, geometry: null }
         : inscription
     ));
-  }, [selectedInscriptionId, isCarved]);
+  }, [selectedInscriptionId, isCarved, recordHistory]);
+
+  // Start dragging an inscription (pointer down on its marker or text mesh)
+  const handleInscriptionPointerDown = useCallback((id, event) => {
+    if (isCarved) return;
+    event.stopPropagation();
+    
+    setSelectedInscriptionId(id);
+    setDraggingInscriptionId(id);
+    setHoverData(null);
+    gestureIdRef.current++;
+    
+    // Suspend camera controls right away so this gesture doesn't rotate the view
+    if (orbitControlsRef.current) {
+      orbitControlsRef.current.enabled = false;
+    }
+  }, [isCarved]);
+
+  // Move the dragged inscription to the surface point under the mouse
+  const handleSurfaceDrag = useCallback((data) => {
+    if (!draggingInscriptionId) return;
+    
+    recordHistory('Move inscription', { coalesceKey: `drag-${gestureIdRef.current}`, coalesceWindow: Infinity });
+    
+    // Clear any reverted warning, as for a new click
+    setUvWarnings(prev => (prev[draggingInscriptionId]?.reverted
+      ? { ...prev, [draggingInscriptionId]: null }
+      : prev
+    ));
+    
+    setInscriptions(prev => prev.map(inscription => 
+      inscription.id === draggingInscriptionId
+        ? { ...inscription, clickData: data, geometry: null }
+        : inscription
+    ));
+  }, [draggingInscriptionId, recordHistory]);
+
+  // Finish dragging and give the camera controls back
+  const handleDragEnd = useCallback(() => {
+    setDraggingInscriptionId(null);
+    if (orbitControlsRef.current) {
+      orbitControlsRef.current.enabled = true;
+    }
+  }, []);
+
+  // Start rotating/scaling with the gizmo - suspend camera controls like an inscription drag
+  const handleTransformStart = useCallback(() => {
+    setIsTransforming(true);
+    setHoverData(null);
+    gestureIdRef.current++;
+    if (orbitControlsRef.current) {
+      orbitControlsRef.current.enabled = false;
+    }
+  }, []);
+
+  // Finish rotating/scaling and give the camera controls back
+  const handleTransformEnd = useCallback(() => {
+    setIsTransforming(false);
+    if (orbitControlsRef.current) {
+      orbitControlsRef.current.enabled = true;
+    }
+  }, []);
 
   // Handle UV data ready from model
   const handleUVDataReady = useCallback((data) => {
@@ -174,6 +433,28 @@ function App() {
     ));
   }, []);
 
+  // Check every text inscription for characters neither its font nor its fallback can draw
+  useEffect(() => {
+    let cancelled = false;
+
+    const checks = inscriptions
+      .filter(i => i.type !== 'svg')
+      .map(async (i) => {
+        const font = await loadFont(findFont(availableFonts, i.font));
+        const fallbackFont = i.fallbackFont ? await loadFont(findFont(availableFonts, i.fallbackFont)) : null;
+        return [i.id, findMissingGlyphs(font, i.text, fallbackFont)];
+      });
+
+    Promise.all(checks)
+      .then((results) => {
+        if (cancelled) return;
+        setGlyphWarnings(Object.fromEntries(results.filter(([, missing]) => missing.length > 0)));
+      })
+      .catch((error) => console.error('❌ Glyph check failed:', error));
+
+    return () => { cancelled = true; };
+  }, [inscriptions, availableFonts]);
+
   // Handle out of bounds warning from UVTextMapper
   const handleOutOfBounds = useCallback((inscriptionId, isOutOfBounds, unmappedCount) => {
     if (isOutOfBounds) {
@@ -225,16 +506,24 @@ function App() {
   }, [inscriptions]);
 
   // Update inscription
-  const updateInscription = useCallback((id, updates) => {
+  // Repeated updates of the same fields merge into one undo step (history options can override the key)
+  const updateInscription = useCallback((id, updates, historyOptions = {}) => {
+    recordHistory(describeUpdate(updates), {
+      coalesceKey: `${id}:${Object.keys(updates).sort().join(',')}`,
+      ...historyOptions
+    });
+    
     setInscriptions(prev => prev.map(inscription => 
       inscription.id === id
         ? { ...inscription, ...updates, geometry: null } // Reset geometry on any change
         : inscription
     ));
-  }, []);
+  }, [recordHistory]);
 
   // Delete inscription
   const deleteInscription = useCallback((id) => {
+    recordHistory('Delete inscription');
+    
     // Clean up stored valid position
     delete lastValidClickDataRef.current[id];
     
@@ -246,17 +535,20 @@ function App() {
       }
       return newList.length > 0 ? newList : [createDefaultInscription()];
     });
-  }, [selectedInscriptionId]);
+  }, [selectedInscriptionId, recordHistory]);
 
   // Add new inscription
   const addInscription = useCallback(() => {
+    recordHistory('Add inscription');
+    
     const newInscription = createDefaultInscription();
     setInscriptions(prev => [...prev, newInscription]);
     setSelectedInscriptionId(newInscription.id);
-  }, []);
+  }, [recordHistory]);
 
-  // Apply all inscriptions (CSG subtraction) then union with clip
-  const handleApplyInscriptions = useCallback(() => {
+  // Apply all inscriptions (subtract engraved, union embossed) then union with clip
+  // The CSG pipeline runs in a Web Worker so the UI stays responsive and can cancel
+  const handleApplyInscriptions = useCallback(async () => {
     // In prod mode, use lofi model; in dev mode, use UV model
     const targetRef = devMode ? morpheusRef : lofiRef;
     
@@ -265,6 +557,12 @@ function App() {
       return;
     }
 
+    // Never carve text with characters the fonts can't draw
+    if (hasMissingGlyphs) {
+      alert('Some inscriptions contain characters the selected font cannot draw. Remove them or choose a fallback font.');
+      return;
+    }
+
     // Get inscriptions with geometry
     const inscriptionsWithGeometry = inscriptions.filter(i => i.geometry);
     
@@ -273,14 +571,6 @@ function App() {
       return;
     }
 
-    // Show inscribing overlay
-    setIsInscribing(true);
-    
-    // Use setTimeout to allow UI to update before heavy CSG operations
-    setTimeout(() => {
-    console.log('🔪 Applying', inscriptionsWithGeometry.length, 'inscriptions...');
-    console.log(`   Using ${devMode ? 'UV model (dev)' : 'Lofi model (prod)'}`);    
-
     // Find the bowtie mesh
     let targetMesh = null;
     targetRef.current.traverse((child) => {
@@ -294,17 +584,15 @@ function App() {
       return;
     }
 
-    // Get base geometry in world space
-    let resultGeometry = targetMesh.geometry.clone();
-    resultGeometry.applyMatrix4(targetMesh.matrixWorld);
+    console.log('🔪 Applying', inscriptionsWithGeometry.length, 'inscriptions...');
+    console.log(`   Using ${devMode ? 'UV model (dev)' : 'Lofi model (prod)'}`);
 
-    // Subtract each inscription
-    for (const inscription of inscriptionsWithGeometry) {
-      console.log(`   Subtracting: "${inscription.text}"`);
-      resultGeometry = subtractGeometry(resultGeometry, inscription.geometry);
-    }
+    // Get base geometry in world space
+    const baseGeometry = targetMesh.geometry.clone();
+    baseGeometry.applyMatrix4(targetMesh.matrixWorld);
 
-    // Union with clip model if available
+    // Get clip geometry in world space if available
+    let clipGeometry = null;
     if (clipRef.current) {
       let clipMesh = null;
       clipRef.current.traverse((child) => {
@@ -314,15 +602,8 @@ function App() {
       });
 
       if (clipMesh) {
-        console.log('🔗 Joining with clip model...');
-        // Get clip geometry in world space
-        let clipGeometry = clipMesh.geometry.clone();
+        clipGeometry = clipMesh.geometry.clone();
         clipGeometry.applyMatrix4(clipMesh.matrixWorld);
-        
-        // Union the carved bowtie with the clip
-        // Only simplify in dev mode (prod needs full detail for manufacturing)
-        resultGeometry = unionGeometry(resultGeometry, clipGeometry, devMode);
-        console.log('✅ Union complete');
       } else {
         console.warn('⚠️ No clip mesh found for union');
       }
@@ -330,21 +611,67 @@ function App() {
       console.warn('⚠️ No clip reference for union');
     }
 
-    // Transform back to local space
-    const inverseMatrix = new THREE.Matrix4().copy(targetMesh.matrixWorld).invert();
-    resultGeometry.applyMatrix4(inverseMatrix);
+    // State to go back to if the carve is undone
+    const beforeCarve = takeSnapshot();
+
+    // Show inscribing overlay
+    setIsInscribing(true);
+    setCarveProgress(null);
+
+    const job = startCarveJob({
+      baseGeometry,
+      tools: inscriptionsWithGeometry.map(i => ({
+        label: getInscriptionLabel(i),
+        geometry: i.geometry,
+        operation: i.mode === 'emboss' ? 'union' : 'subtract'
+      })),
+      clipGeometry,
+      // Only simplify in dev mode (prod needs full detail for manufacturing)
+      simplify: devMode,
+      onProgress: setCarveProgress
+    });
+    carveJobRef.current = job;
+
+    try {
+      const resultGeometry = await job.promise;
+
+      // Transform back to local space
+      const inverseMatrix = new THREE.Matrix4().copy(targetMesh.matrixWorld).invert();
+      resultGeometry.applyMatrix4(inverseMatrix);
 
-    // Replace the mesh geometry
-    targetMesh.geometry.dispose();
-    targetMesh.geometry = resultGeometry;
+      // Replace the mesh geometry
+      targetMesh.geometry.dispose();
+      targetMesh.geometry = resultGeometry;
+      recordHistory('Inscribe', {}, beforeCarve);
 
-    setIsCarved(true);
-    setShowTextMesh(false); // Hide text meshes after carving
-    setShowClipModel(false); // Hide clip model since it's now part of the combined mesh
-    setIsInscribing(false); // Hide inscribing overlay
-    console.log('✅ All inscriptions applied and joined with clip!');
-    }, 50); // Small delay to allow overlay to render
-  }, [inscriptions, devMode]);
+      setIsCarved(true);
+      setShowTextMesh(false); // Hide text meshes after carving
+      setShowClipModel(false); // Hide clip model since it's now part of the combined mesh
+      console.log('✅ All inscriptions applied and joined with clip!');
+      console.log('   Boolean backends:', resultGeometry.userData.csgBackends);
+    } catch (error) {
+      if (error instanceof CarveCancelledError) {
+        console.log('⏹️ Carving cancelled');
+      } else {
+        console.error('❌ Carving failed:', error);
+        alert('Inscribing failed: ' + error.message);
+      }
+    } finally {
+      if (carveJobRef.current === job) {
+        carveJobRef.current = null;
+      }
+      setIsInscribing(false); // Hide inscribing overlay
+      setCarveProgress(null);
+    }
+  }, [inscriptions, hasMissingGlyphs, devMode, takeSnapshot, recordHistory]);
+
+  // Cancel a running carve job
+  const handleCancelInscribing = useCallback(() => {
+    carveJobRef.current?.cancel();
+  }, []);
+
+  // Stop any running carve job on unmount
+  useEffect(() => () => carveJobRef.current?.cancel(), []);
 
   // Reset to original mesh
   const handleReset = useCallback(() => {
@@ -358,6 +685,7 @@ function App() {
     }
 
     console.log('↺ Resetting to original mesh...');
+    recordHistory('Reset');
 
     // Find the mesh and restore original geometry
     targetRef.current.traverse((child) => {
@@ -386,7 +714,15 @@ function App() {
     setShowClipModel(true); // Show clip model again after reset
 
     console.log('✅ Reset complete');
-  }, [devMode]);
+  }, [devMode, recordHistory]);
+
+  // Helper: File name for exports ("botai_<confirmation>.<ext>" for loaded orders)
+  const getExportFilename = useCallback((extension) => {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return loadedConfirmationNumber
+      ? `botai_${loadedConfirmationNumber}.${extension}`
+      : `botai_inscription_${timestamp}.${extension}`;
+  }, [loadedConfirmationNumber]);
 
   // Handle STL download
   const handleDownloadSTL = useCallback(() => {
@@ -411,10 +747,7 @@ function App() {
       return;
     }
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = loadedConfirmationNumber 
-      ? `botai_${loadedConfirmationNumber}.stl`
-      : `botai_inscription_${timestamp}.stl`;
+    const filename = getExportFilename('stl');
 
     try {
       downloadSTL(targetMesh.geometry, filename);
@@ -422,36 +755,177 @@ function App() {
       console.error('Download failed:', error);
       alert(`Download failed: ${error.message}`);
     }
-  }, [devMode, loadedConfirmationNumber]);
+  }, [devMode, getExportFilename]);
+
+  // Helper: PNG of the current 3D view (rendered first so the drawing buffer isn't already cleared)
+  const captureThumbnail = useCallback(() => new Promise((resolve) => {
+    const three = threeStateRef.current;
+    if (!three) {
+      resolve(null);
+      return;
+    }
+    three.gl.render(three.scene, three.camera);
+    three.gl.domElement.toBlob(async (blob) => {
+      resolve(blob ? new Uint8Array(await blob.arrayBuffer()) : null);
+    }, 'image/png');
+  }), []);
+
+  // Handle 3MF download (dev mode) - mesh in mm with order metadata and a thumbnail of the view
+  const handleDownload3MF = useCallback(async () => {
+    const targetMesh = getTargetMesh();
+    if (!targetMesh || !targetMesh.geometry) {
+      alert('No geometry available.');
+      return;
+    }
+
+    const filename = getExportFilename('3mf');
+
+    try {
+      const design = serializeDesign(inscriptions, availableFonts);
+      download3MF(targetMesh.geometry, filename, {
+        metadata: getOrderMetadata(design, {
+          confirmationNumber: loadedConfirmationNumber,
+          modelVariant: `${design.modelId} (${devMode ? 'uv' : 'lofi'})`
+        }),
+        thumbnail: await captureThumbnail()
+      });
+    } catch (error) {
+      console.error('Download failed:', error);
+      alert(`Download failed: ${error.message}`);
+    }
+  }, [getTargetMesh, captureThumbnail, inscriptions, availableFonts, devMode, loadedConfirmationNumber, getExportFilename]);
+
+  // Helper: AR scene of the bowtie as shown - before carving, with the text previews and the clip
+  const buildCurrentARScene = useCallback(() => {
+    const targetMesh = getTargetMesh();
+    if (!targetMesh || !targetMesh.geometry) return null;
+
+    const parts = [{
+      name: 'Bowtie',
+      geometry: targetMesh.geometry.clone().applyMatrix4(targetMesh.matrixWorld),
+      material: targetMesh.material
+    }];
+
+    // Once carved, the inscriptions and the clip are part of the bowtie mesh
+    if (!isCarved) {
+      inscriptions
+        .filter(i => i.geometry)
+        .forEach(i => parts.push({ name: getInscriptionLabel(i), geometry: i.geometry }));
+
+      let clipMesh = null;
+      clipRef.current?.traverse((child) => {
+        if (child.isMesh && !clipMesh) {
+          clipMesh = child;
+        }
+      });
+      if (clipMesh) {
+        parts.push({
+          name: 'Clip',
+          geometry: clipMesh.geometry.clone().applyMatrix4(clipMesh.matrixWorld),
+          material: clipMesh.material
+        });
+      }
+    }
+
+    return buildARScene(parts);
+  }, [getTargetMesh, isCarved, inscriptions]);
+
+  // Handle "View in AR" - Quick Look on iPhone/iPad, otherwise download the GLB for a viewer app
+  const handleViewInAR = useCallback(async () => {
+    const scene = buildCurrentARScene();
+    if (!scene) {
+      alert('No model available.');
+      return;
+    }
+
+    try {
+      if (supportsARQuickLook()) {
+        openARQuickLook(await sceneToUSDZ(scene));
+      } else {
+        downloadGLB(await sceneToGLB(scene), getExportFilename('glb'));
+        alert('AR preview opens directly in Safari on iPhone and iPad.\n\nThe 3D model was downloaded as a GLB file instead; open it in your phone\'s 3D or AR viewer.');
+      }
+    } catch (error) {
+      console.error('AR export failed:', error);
+      alert(`AR preview failed: ${error.message}`);
+    }
+  }, [buildCurrentARScene, getExportFilename]);
+
+  // Handle GLB / USDZ download (dev mode)
+  const handleDownloadAR = useCallback(async (format) => {
+    const scene = buildCurrentARScene();
+    if (!scene) {
+      alert('No model available.');
+      return;
+    }
+
+    try {
+      if (format === 'usdz') {
+        downloadUSDZ(await sceneToUSDZ(scene), getExportFilename('usdz'));
+      } else {
+        downloadGLB(await sceneToGLB(scene), getExportFilename('glb'));
+      }
+    } catch (error) {
+      console.error('Download failed:', error);
+      alert(`Download failed: ${error.message}`);
+    }
+  }, [buildCurrentARScene, getExportFilename]);
+
+  // Handle OBJ download (dev mode) - UV model with its texture coordinates, each inscription
+  // tool and the clip as named groups, for texturing and checking placements in Blender
+  const handleDownloadOBJ = useCallback(() => {
+    let uvMesh = null;
+    morpheusRef.current?.traverse((child) => {
+      if (child.isMesh && !uvMesh) {
+        uvMesh = child;
+      }
+    });
+    if (!uvMesh || !uvMesh.geometry) {
+      alert('No geometry available.');
+      return;
+    }
+
+    const parts = [{
+      name: 'Bowtie',
+      geometry: uvMesh.geometry.clone().applyMatrix4(uvMesh.matrixWorld),
+      material: uvMesh.material
+    }];
+
+    inscriptions
+      .filter(i => i.geometry)
+      .forEach((i, index) => parts.push({
+        name: `Inscription_${index + 1}_${i.mode || 'engrave'}_${getInscriptionLabel(i)}`,
+        geometry: i.geometry,
+        material: i.mode === 'emboss' ? EMBOSS_OBJ_MATERIAL : ENGRAVE_OBJ_MATERIAL
+      }));
+
+    let clipMesh = null;
+    clipRef.current?.traverse((child) => {
+      if (child.isMesh && !clipMesh) {
+        clipMesh = child;
+      }
+    });
+    if (clipMesh) {
+      parts.push({
+        name: 'Clip',
+        geometry: clipMesh.geometry.clone().applyMatrix4(clipMesh.matrixWorld),
+        material: clipMesh.material
+      });
+    }
+
+    try {
+      downloadOBJ(parts, getExportFilename('zip'));
+    } catch (error) {
+      console.error('Download failed:', error);
+      alert(`Download failed: ${error.message}`);
+    }
+  }, [inscriptions, getExportFilename]);
 
   // Handle JSON download (dev mode)
   const handleDownloadJSON = useCallback(() => {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = loadedConfirmationNumber
-      ? `botai_${loadedConfirmationNumber}.json`
-      : `botai_inscription_${timestamp}.json`;
+    const filename = getExportFilename('json');
     
-    const jsonData = {
-      timestamp: new Date().toISOString(),
-      inscriptions: inscriptions.map(i => ({
-        id: i.id,
-        text: i.text,
-        scale: i.scale,
-        depth: i.depth,
-        font: i.font,
-        rotation: i.rotation,
-        clickData: i.clickData ? {
-          point: { x: i.clickData.point.x, y: i.clickData.point.y, z: i.clickData.point.z },
-          normal: { x: i.clickData.normal.x, y: i.clickData.normal.y, z: i.clickData.normal.z },
-          uv: { x: i.clickData.uv.x, y: i.clickData.uv.y },
-          faceIndex: i.clickData.faceIndex,
-          tangent: i.clickData.tangent ? { x: i.clickData.tangent.x, y: i.clickData.tangent.y, z: i.clickData.tangent.z } : null,
-          bitangent: i.clickData.bitangent ? { x: i.clickData.bitangent.x, y: i.clickData.bitangent.y, z: i.clickData.bitangent.z } : null,
-          uvTangent: i.clickData.uvTangent ? { x: i.clickData.uvTangent.x, y: i.clickData.uvTangent.y } : null,
-          uvBitangent: i.clickData.uvBitangent ? { x: i.clickData.uvBitangent.x, y: i.clickData.uvBitangent.y } : null
-        } : null
-      }))
-    };
+    const jsonData = serializeDesign(inscriptions, availableFonts);
     
     const jsonString = JSON.stringify(jsonData, null, 2);
     const blob = new Blob([jsonString], { type: 'application/json' });
@@ -466,7 +940,218 @@ function App() {
     URL.revokeObjectURL(url);
     
     console.log('✅ JSON download initiated');
-  }, [inscriptions, loadedConfirmationNumber]);
+  }, [inscriptions, availableFonts, getExportFilename]);
+
+  // Handle uploading an SVG logo for an inscription
+  const handleLoadSVG = useCallback((id, file) => {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const svgSource = e.target.result;
+        const shapes = svgToShapes(svgSource);
+
+        if (shapes.length === 0) {
+          throw new Error('The SVG has no filled paths to carve');
+        }
+
+        updateInscription(id, { svgSource, svgName: file.name });
+        console.log(`🖼️ Loaded SVG logo: ${file.name} (${shapes.length} shapes)`);
+      } catch (error) {
+        console.error('Failed to load SVG:', error);
+        alert('Failed to load SVG: ' + error.message);
+      }
+    };
+    reader.readAsText(file);
+  }, [updateInscription]);
+
+  // Add uploaded fonts to the font list (an upload with the same id replaces the old entry)
+  const registerCustomFonts = useCallback((fonts) => {
+    if (fonts.length === 0) return;
+    setCustomFonts(prev => [
+      ...prev.filter(existing => !fonts.some(font => font.id === existing.id)),
+      ...fonts
+    ]);
+  }, []);
+
+  // Handle uploading a TTF/OTF/WOFF font and using it for an inscription
+  const handleUploadFont = useCallback(async (id, file) => {
+    if (!file) return;
+
+    try {
+      const font = await loadFontFile(file);
+      registerCustomFonts([font]);
+      updateInscription(id, { font: font.id });
+      console.log(`🔤 Converted font: ${font.name} (${Object.keys(font.data.glyphs).length} glyphs)`);
+    } catch (error) {
+      console.error('Failed to load font:', error);
+      alert('Failed to load font: ' + error.message);
+    }
+  }, [registerCustomFonts, updateInscription]);
+
+  // Replace the current design with a saved one (JSON file, autosave, slot or link)
+  // Throws DesignValidationError for invalid data. Returns the loaded inscriptions, the names of
+  // built-in fonts whose files changed since the design was made, and the price recorded with it (null if unknown)
+  const applyDesign = useCallback((data, label) => {
+    const design = deserializeDesign(data);
+    const loadedInscriptions = design.inscriptions;
+
+    recordHistory(label);
+
+    // Register fonts bundled with the design before the inscriptions reference them
+    registerCustomFonts(design.fonts);
+
+    setInscriptions(loadedInscriptions);
+    setSelectedInscriptionId(loadedInscriptions[0].id);
+    setIsCarved(false);
+    setUvWarnings({});
+    
+    // Clear stored valid positions
+    lastValidClickDataRef.current = {};
+
+    // Warn if a bundled font file changed since the design was made
+    const changedFonts = findChangedFonts(data.fonts, BUILT_IN_FONTS);
+    if (changedFonts.length > 0) {
+      console.warn('⚠️ Font hash mismatch:', changedFonts);
+    }
+    return { inscriptions: loadedInscriptions, changedFonts, pricing: design.pricing };
+  }, [recordHistory, registerCustomFonts]);
+
+  // Open a design shared by link (#design=...), then drop the fragment so later edits don't contradict it
+  useEffect(() => {
+    const encoded = readSharedDesign();
+    if (!encoded) return;
+
+    try {
+      const { inscriptions: sharedInscriptions, changedFonts } = applyDesign(decodeDesign(encoded), 'Open shared design');
+      sharedDesignRef.current = JSON.stringify(sharedInscriptions.map(serializeInscription));
+      console.log('🔗 Opened shared design');
+      if (changedFonts.length > 0) {
+        alert(`Opened shared design${describeChangedFonts(changedFonts)}`);
+      }
+    } catch (error) {
+      console.error('Failed to open shared design:', error);
+      alert('Failed to open shared design: ' + error.message);
+    }
+
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }, []); // Only the link the page was opened with
+
+  // Copy a link that rebuilds the current design
+  const handleCopyShareLink = useCallback(async () => {
+    const { url, omittedFonts } = createShareUrl(serializeDesign(inscriptions, availableFonts));
+    const fontNote = omittedFonts.length > 0
+      ? `\n\n⚠️ Uploaded fonts are not included in links (${omittedFonts.join(', ')}); they will show in the default font.`
+      : '';
+
+    try {
+      await navigator.clipboard.writeText(url);
+      console.log(`🔗 Share link copied (${url.length} characters)`);
+      alert(`Link copied to clipboard${fontNote}`);
+    } catch (error) {
+      // Clipboard access can be blocked (e.g. insecure context) - let the user copy it by hand
+      console.warn('⚠️ Clipboard unavailable:', error);
+      window.prompt(`Copy this link${fontNote}`, url);
+    }
+  }, [inscriptions, availableFonts]);
+
+  // Look for last visit's session and the saved slots
+  useEffect(() => {
+    loadAutosave()
+      .then((record) => {
+        if (record?.design?.inscriptions?.length > 0) {
+          setRestoreOffer(record);
+        }
+      })
+      .catch((error) => console.warn('⚠️ Could not read autosave:', error));
+
+    listSlots()
+      .then(setSavedSlots)
+      .catch((error) => console.warn('⚠️ Could not list saved designs:', error));
+  }, []);
+
+  // Autosave shortly after each change (the first save replaces last visit's session, so stop offering it)
+  useEffect(() => {
+    if (inscriptions === initialInscriptionsRef.current) return;
+
+    // A design opened by link isn't the user's work yet: keep last visit's session (and the offer
+    // to restore it) until they edit it. Placing its inscriptions only adds geometry, which isn't saved.
+    if (sharedDesignRef.current !== null) {
+      if (JSON.stringify(inscriptions.map(serializeInscription)) === sharedDesignRef.current) return;
+      sharedDesignRef.current = null;
+    }
+
+    const timer = setTimeout(() => {
+      saveAutosave(serializeDesign(inscriptions, availableFonts))
+        .then(() => setRestoreOffer(null))
+        .catch((error) => console.warn('⚠️ Autosave failed:', error));
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [inscriptions, availableFonts]);
+
+  // Restore last visit's session
+  const handleRestoreAutosave = useCallback(() => {
+    if (!restoreOffer) return;
+
+    try {
+      const { changedFonts } = applyDesign(restoreOffer.design, 'Restore design');
+      setRestoreOffer(null);
+      setLoadedConfirmationNumber(null);
+      console.log('✅ Restored autosaved design from', restoreOffer.savedAt);
+      if (changedFonts.length > 0) {
+        alert(`Restored your last design${describeChangedFonts(changedFonts)}`);
+      }
+    } catch (error) {
+      console.error('Failed to restore design:', error);
+      alert('Failed to restore design: ' + error.message);
+      setRestoreOffer(null);
+    }
+  }, [restoreOffer, applyDesign]);
+
+  // Save the current design under a name
+  const handleSaveSlot = useCallback(async (name) => {
+    try {
+      await saveSlot(name, serializeDesign(inscriptions, availableFonts));
+      setSavedSlots(await listSlots());
+      console.log('💾 Saved design:', name);
+    } catch (error) {
+      console.error('Failed to save design:', error);
+      alert('Failed to save design: ' + error.message);
+    }
+  }, [inscriptions, availableFonts]);
+
+  // Switch to a saved design
+  const handleLoadSlot = useCallback(async (id) => {
+    try {
+      const record = await loadSlot(id);
+      if (!record) {
+        throw new Error('This design no longer exists');
+      }
+
+      const { changedFonts } = applyDesign(record.design, `Load "${record.name}"`);
+      setLoadedConfirmationNumber(null);
+      console.log('📂 Loaded design:', record.name);
+      if (changedFonts.length > 0) {
+        alert(`Loaded "${record.name}"${describeChangedFonts(changedFonts)}`);
+      }
+    } catch (error) {
+      console.error('Failed to load design:', error);
+      alert('Failed to load design: ' + error.message);
+    }
+  }, [applyDesign]);
+
+  // Delete a saved design
+  const handleDeleteSlot = useCallback(async (id) => {
+    try {
+      await deleteSlot(id);
+      setSavedSlots(await listSlots());
+    } catch (error) {
+      console.error('Failed to delete design:', error);
+      alert('Failed to delete design: ' + error.message);
+    }
+  }, []);
 
   // Handle loading JSON settings (dev mode)
   const handleLoadJSON = useCallback((event) => {
@@ -477,10 +1162,7 @@ function App() {
     reader.onload = (e) => {
       try {
         const jsonData = JSON.parse(e.target.result);
-        
-        if (!jsonData.inscriptions || !Array.isArray(jsonData.inscriptions)) {
-          throw new Error('Invalid JSON format: missing inscriptions array');
-        }
+        const { changedFonts, pricing } = applyDesign(jsonData, 'Load design');
 
         // Extract confirmation number from JSON or filename
         // Try from JSON data first (order_XXXXXXXX.json format)
@@ -501,38 +1183,15 @@ function App() {
           setLoadedConfirmationNumber(null);
         }
 
-        // Convert loaded inscriptions to the app format
-        const loadedInscriptions = jsonData.inscriptions.map((i, index) => ({
-          id: `inscription-loaded-${index + 1}`,
-          text: i.text || 'Botai',
-          scale: i.scale || 0.015,
-          depth: i.depth || 0.5,
-          font: i.font || 'helvetiker',
-          rotation: i.rotation || 0,
-          clickData: i.clickData ? {
-            point: new THREE.Vector3(i.clickData.point.x, i.clickData.point.y, i.clickData.point.z),
-            normal: new THREE.Vector3(i.clickData.normal.x, i.clickData.normal.y, i.clickData.normal.z),
-            uv: new THREE.Vector2(i.clickData.uv.x, i.clickData.uv.y),
-            faceIndex: i.clickData.faceIndex,
-            tangent: i.clickData.tangent ? new THREE.Vector3(i.clickData.tangent.x, i.clickData.tangent.y, i.clickData.tangent.z) : null,
-            bitangent: i.clickData.bitangent ? new THREE.Vector3(i.clickData.bitangent.x, i.clickData.bitangent.y, i.clickData.bitangent.z) : null,
-            uvTangent: i.clickData.uvTangent ? new THREE.Vector2(i.clickData.uvTangent.x, i.clickData.uvTangent.y) : null,
-            uvBitangent: i.clickData.uvBitangent ? new THREE.Vector2(i.clickData.uvBitangent.x, i.clickData.uvBitangent.y) : null
-          } : null,
-          geometry: null
-        }));
-
-        setInscriptions(loadedInscriptions);
-        setSelectedInscriptionId(loadedInscriptions[0]?.id);
-        setIsCarved(false);
-        setUvWarnings({});
-        
-        // Clear stored valid positions
-        lastValidClickDataRef.current = {};
+        // Orders keep the price that was charged - point out if today's price differs
+        const currentPrice = calculatePrice(jsonData.inscriptions);
+        const priceMsg = pricing && pricing.total !== currentPrice
+          ? `\n\nRecorded price: $${pricing.total} (current price: $${currentPrice})`
+          : '';
 
         const confirmMsg = confirmNum ? ` (Order: ${confirmNum})` : '';
-        console.log('✅ Loaded', loadedInscriptions.length, 'inscriptions from JSON');
-        alert(`Loaded ${loadedInscriptions.length} inscription(s) from JSON${confirmMsg}`);
+        console.log('✅ Loaded', jsonData.inscriptions.length, 'inscriptions from JSON');
+        alert(`Loaded ${jsonData.inscriptions.length} inscription(s) from JSON${confirmMsg}${describeChangedFonts(changedFonts)}${priceMsg}`);
       } catch (error) {
         console.error('Failed to load JSON:', error);
         alert('Failed to load JSON: ' + error.message);
@@ -542,7 +1201,7 @@ function App() {
     
     // Reset file input so the same file can be loaded again
     event.target.value = '';
-  }, []);
+  }, [applyDesign]);
 
   // Handle order submission
   const handleOrder = useCallback(async () => {
@@ -551,6 +1210,12 @@ function App() {
       return;
     }
 
+    // Block orders that would ship with missing letters
+    if (hasMissingGlyphs) {
+      alert('Some inscriptions contain characters the selected font cannot draw. Remove them or choose a fallback font before ordering.');
+      return;
+    }
+
     // In prod mode, use lofi model; in dev mode, use UV model
     const targetRef = devMode ? morpheusRef : lofiRef;
     
@@ -583,8 +1248,7 @@ function App() {
       const productName = `Botai Custom Inscription-${confirmationNumber}`;
       
       // Calculate price: base $88 + $1 per character
-      const totalCharacters = inscriptions.reduce((sum, i) => sum + (i.text?.length || 0), 0);
-      const price = 88 + totalCharacters;
+      const price = calculatePrice(inscriptions);
       
       console.log('Creating Order:', {
         guid,
@@ -597,69 +1261,39 @@ function App() {
       const orderData = {
         confirmationNumber,
         email,
-        timestamp: new Date().toISOString(),
-        inscriptions: inscriptions.map(i => ({
-          id: i.id,
-          text: i.text,
-          scale: i.scale,
-          depth: i.depth,
-          font: i.font,
-          rotation: i.rotation,
-          clickData: i.clickData ? {
-            point: { x: i.clickData.point.x, y: i.clickData.point.y, z: i.clickData.point.z },
-            normal: { x: i.clickData.normal.x, y: i.clickData.normal.y, z: i.clickData.normal.z },
-            uv: { x: i.clickData.uv.x, y: i.clickData.uv.y },
-            faceIndex: i.clickData.faceIndex,
-            tangent: i.clickData.tangent ? { x: i.clickData.tangent.x, y: i.clickData.tangent.y, z: i.clickData.tangent.z } : null,
-            bitangent: i.clickData.bitangent ? { x: i.clickData.bitangent.x, y: i.clickData.bitangent.y, z: i.clickData.bitangent.z } : null,
-            uvTangent: i.clickData.uvTangent ? { x: i.clickData.uvTangent.x, y: i.clickData.uvTangent.y } : null,
-            uvBitangent: i.clickData.uvBitangent ? { x: i.clickData.uvBitangent.x, y: i.clickData.uvBitangent.y } : null
-          } : null
-        }))
+        ...serializeDesign(inscriptions, availableFonts)
       };
       
+      // Only go to checkout once the order file is verified in storage
       console.log('📤 Uploading order JSON...');
-      await uploadToGoogleDrive(JSON.stringify(orderData, null, 2), `order_${confirmationNumber}.json`);
-      console.log('✅ Order JSON uploaded');
-
-      // Call Shopify API
-      const apiUrl = new URL('https://shopify-draft-order-io3s5gd2e-ricerolls-projects.vercel.app/api/create-order');
-      apiUrl.searchParams.append('productName', productName);
-      apiUrl.searchParams.append('price', price);
-      apiUrl.searchParams.append('email', email);
-      
-      console.log('API URL:', apiUrl.toString());
+      const upload = await uploadOrderFile(JSON.stringify(orderData, null, 2), `order_${confirmationNumber}.json`, {
+        mimeType: 'application/json'
+      });
+      console.log('✅ Order JSON uploaded:', upload.url);
 
-      const response = await fetch(apiUrl.toString(), {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        }
+      // Create the checkout with the configured provider (Shopify draft order by default)
+      const checkout = await createCheckout({
+        confirmationNumber,
+        productName,
+        price,
+        currency: CURRENCY,
+        email,
+        orderFile: upload
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('API Error Response:', errorText);
-        throw new Error(`API Request Failed: ${response.status}`);
-      }
-
-      const data = await response.json();
-      console.log('API Response:', data);
-      
-      // Redirect to Shopify checkout
-      if (data.checkoutUrl) {
-        console.log('Redirecting to Shopify:', data.checkoutUrl);
-        window.location.href = data.checkoutUrl;
-      } else {
-        throw new Error('Failed to get Shopify URL');
-      }
+      console.log(`Redirecting to ${getCheckoutProvider().name} checkout:`, checkout.checkoutUrl);
+      window.location.href = checkout.checkoutUrl;
 
     } catch (error) {
       console.error('Order Failed:', error);
-      alert('Order failed: ' + error.message);
+      if (error instanceof UploadError) {
+        alert('Order failed: your design could not be saved, so you have not been sent to checkout. Please check your connection and try again.\n\n' + error.message);
+      } else {
+        alert('Order failed: ' + error.message);
+      }
       setIsOrdering(false);
     }
-  }, [email, inscriptions, devMode]);
+  }, [email, inscriptions, availableFonts, hasMissingGlyphs, devMode]);
 
   return (
     <div className="app-container">
@@ -675,6 +1309,7 @@ function App() {
         onReset={handleReset}
         isCarved={isCarved}
         uvWarnings={uvWarnings}
+        glyphWarnings={glyphWarnings}
         showMarker={showMarker}
         setShowMarker={setShowMarker}
         showArrows={showArrows}
@@ -688,8 +1323,24 @@ function App() {
         maxTriangleEdge={maxTriangleEdge}
         setMaxTriangleEdge={setMaxTriangleEdge}
         onDownloadSTL={handleDownloadSTL}
+        onDownload3MF={handleDownload3MF}
+        onDownloadOBJ={handleDownloadOBJ}
+        onDownloadGLB={() => handleDownloadAR('glb')}
+        onDownloadUSDZ={() => handleDownloadAR('usdz')}
+        onViewInAR={handleViewInAR}
         onDownloadJSON={handleDownloadJSON}
         onLoadJSON={handleLoadJSON}
+        onLoadSVG={handleLoadSVG}
+        customFonts={customFonts}
+        onUploadFont={handleUploadFont}
+        restoreOffer={restoreOffer}
+        onRestoreAutosave={handleRestoreAutosave}
+        onDismissRestore={() => setRestoreOffer(null)}
+        savedSlots={savedSlots}
+        onSaveSlot={handleSaveSlot}
+        onLoadSlot={handleLoadSlot}
+        onDeleteSlot={handleDeleteSlot}
+        onCopyShareLink={handleCopyShareLink}
         email={email}
         setEmail={setEmail}
         onOrder={handleOrder}
@@ -699,7 +1350,7 @@ function App() {
 
       {/* 3D Canvas */}
       <div className="canvas-container">
-        <Canvas camera={{ position: [0, 0, 380], fov: 20 }}>
+        <Canvas camera={{ position: [0, 0, 380], fov: 20 }} onCreated={(state) => { threeStateRef.current = state; }}>
           <color attach="background" args={['#fafafa']} />
           
           {/* Lighting */}
@@ -736,10 +1387,15 @@ function App() {
             onSurfaceClick={handleSurfaceClick}
             onHover={setHoverData}
             enabled={!isCarved}
+            isDraggingInscription={draggingInscriptionId !== null}
+            isTransformingInscription={isTransforming}
+            dragReferenceTangent={inscriptions.find(i => i.id === draggingInscriptionId)?.clickData?.tangent || null}
+            onSurfaceDrag={handleSurfaceDrag}
+            onDragEnd={handleDragEnd}
           />
           
           {/* Hover preview dot */}
-          {hoverData && !isCarved && (
+          {hoverData && !isCarved && !draggingInscriptionId && !isTransforming && (
             <mesh position={hoverData.point.clone().addScaledVector(hoverData.normal, 0.1)}>
               <sphereGeometry args={[0.3, 16, 16]} />
               <meshBasicMaterial color="#4a90d9" opacity={0.7} transparent />
@@ -757,6 +1413,7 @@ function App() {
                 bitangent={inscription.clickData.bitangent}
                 isSelected={inscription.id === selectedInscriptionId}
                 showArrows={showArrows}
+                onPointerDown={(e) => handleInscriptionPointerDown(inscription.id, e)}
               />
             )
           )}
@@ -768,19 +1425,49 @@ function App() {
                 key={`text-${inscription.id}`}
                 clickData={inscription.clickData}
                 meshRef={morpheusRef}
+                type={inscription.type}
                 text={inscription.text}
+                svgSource={inscription.svgSource}
                 textScale={inscription.scale}
                 extrudeDepth={inscription.depth}
                 fontId={inscription.font}
+                fallbackFontId={inscription.fallbackFont}
                 rotation={inscription.rotation}
-                availableFonts={AVAILABLE_FONTS}
+                mode={inscription.mode}
+                align={inscription.align}
+                lineHeight={inscription.lineHeight}
+                letterSpacing={inscription.letterSpacing}
+                kerning={inscription.kerning}
+                layout={inscription.layout}
+                arcRadius={inscription.arcRadius}
+                arcStartAngle={inscription.arcStartAngle}
+                arcDirection={inscription.arcDirection}
+                availableFonts={availableFonts}
                 maxTriangleSize={maxTriangleEdge}
                 onTextDataReady={(data) => handleTextGeometryReady(inscription.id, data)}
                 onOutOfBounds={(isOOB, count) => handleOutOfBounds(inscription.id, isOOB, count)}
+                onPointerDown={(e) => handleInscriptionPointerDown(inscription.id, e)}
               />
             )
           )}
           
+          {/* Rotation ring and scale handles for the selected inscription */}
+          {showTextMesh && !isCarved && !draggingInscriptionId && selectedInscription?.clickData?.uvTangent && (
+            <TransformGizmo
+              key={`gizmo-${selectedInscription.id}`}
+              clickData={selectedInscription.clickData}
+              meshRef={morpheusRef}
+              geometry={selectedInscription.geometry}
+              rotation={selectedInscription.rotation}
+              scale={selectedInscription.scale}
+              minSize={getMinFontSize(selectedInscription, availableFonts)}
+              onRotate={(rotation) => updateInscription(selectedInscription.id, { rotation }, { coalesceKey: `gizmo-${gestureIdRef.current}`, coalesceWindow: Infinity })}
+              onScale={(scale) => updateInscription(selectedInscription.id, { scale }, { coalesceKey: `gizmo-${gestureIdRef.current}`, coalesceWindow: Infinity })}
+              onTransformStart={handleTransformStart}
+              onTransformEnd={handleTransformEnd}
+            />
+          )}
+          
           {/* Post-processing effects - Strong AO for visible inscriptions */}
           <EffectComposer>
             <N8AO 
@@ -793,8 +1480,8 @@ function App() {
             />
           </EffectComposer>
           
-          {/* Camera controls */}
-          <OrbitControls />
+          {/* Camera controls (suspended while dragging an inscription or a gizmo handle) */}
+          <OrbitControls ref={orbitControlsRef} />
         </Canvas>
         
         {/* 2D UV Panel - only in dev mode */}
@@ -862,6 +1549,24 @@ function App() {
             }}>
               Inscribing...
             </div>
+            {carveProgress && (
+              <div className="carve-progress">
+                <div className="carve-progress__label">
+                  {carveProgress.stage === 'union'
+                    ? 'Joining with clip...'
+                    : `${carveProgress.stage === 'emboss' ? 'Embossing' : 'Carving'} "${carveProgress.label}" (${carveProgress.step + 1} of ${carveProgress.totalSteps})`}
+                </div>
+                <div className="carve-progress__bar">
+                  <div
+                    className="carve-progress__fill"
+                    style={{ width: `${(carveProgress.step / carveProgress.totalSteps) * 100}%` }}
+                  />
+                </div>
+              </div>
+            )}
+            <button onClick={handleCancelInscribing} className="btn btn--secondary carve-cancel-btn">
+              Cancel
+            </button>
           </div>
         )}
         
@@ -908,6 +1613,26 @@ function App() {
           </div>
         )}
         
+        {/* Undo / redo toolbar */}
+        <div className="history-toolbar">
+          <button
+            className="history-toolbar__btn"
+            onClick={handleUndo}
+            disabled={!historyStatus.canUndo || isHistoryLocked}
+            title={historyStatus.undoLabel ? `Undo ${historyStatus.undoLabel.toLowerCase()} (Ctrl+Z)` : 'Undo (Ctrl+Z)'}
+          >
+            ↶
+          </button>
+          <button
+            className="history-toolbar__btn"
+            onClick={handleRedo}
+            disabled={!historyStatus.canRedo || isHistoryLocked}
+            title={historyStatus.redoLabel ? `Redo ${historyStatus.redoLabel.toLowerCase()} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)'}
+          >
+            ↷
+          </button>
+        </div>
+        
         {/* Tutorial help button (inside canvas) */}
         {tutorial.helpButton}
       </div>
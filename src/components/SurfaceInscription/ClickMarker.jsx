@@ -3,8 +3,9 @@ import * as THREE from 'three';
 
 /**
  * ClickMarker - Visual indicator showing click point, normal, tangent, and bitangent
+ * onPointerDown on the sphere lets the inscription be grabbed and dragged
  */
-export default function ClickMarker({ position, normal, tangent, bitangent, scale = 2, isSelected = true, showArrows = true }) {
+export default function ClickMarker({ position, normal, tangent, bitangent, scale = 2, isSelected = true, showArrows = true, onPointerDown }) {
   if (!position || !normal || !tangent || !bitangent) return null;
 
   // Use different colors based on selection state
@@ -15,7 +16,7 @@ export default function ClickMarker({ position, normal, tangent, bitangent, scal
   return (
     <group position={position}>
       {/* Sphere at click point */}
-      <mesh>
+      <mesh onPointerDown={onPointerDown}>
         <sphereGeometry args={[0.1 * markerScale, 16, 16]} />
         <meshBasicMaterial color={sphereColor} transparent opacity={opacity} />
       </mesh>
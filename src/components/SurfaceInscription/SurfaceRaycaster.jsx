@@ -2,13 +2,119 @@ import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useThree, useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
 
+/**
+ * Find UV at a 3D point by raycasting from above the surface
+ */
+export function findUVAtPoint(point3D, normal, meshGroup) {
+  const tempRaycaster = new THREE.Raycaster();
+  // Cast ray from slightly above the point, along negative normal
+  const origin = point3D.clone().addScaledVector(normal, 1);
+  tempRaycaster.set(origin, normal.clone().negate());
+  
+  const hits = tempRaycaster.intersectObject(meshGroup, true);
+  const meshHits = hits.filter(h => h.object.isMesh);
+  
+  if (meshHits.length > 0 && meshHits[0].uv) {
+    return meshHits[0].uv.clone();
+  }
+  return null;
+}
+
+/**
+ * Build click data (placement frame + UV info) from a surface hit
+ * The text's horizontal direction is referenceDirection projected onto the surface:
+ * the camera's right vector for clicks, the previous tangent while dragging (keeps orientation).
+ */
+function computeClickData(hit, camera, meshGroup, referenceDirection = null) {
+  // Get the intersection point in world coordinates
+  const point = hit.point.clone();
+  
+  // Get the face normal in world coordinates
+  const normal = hit.face.normal.clone();
+  const normalMatrix = new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld);
+  normal.applyMatrix3(normalMatrix).normalize();
+
+  // Calculate tangent and bitangent for text orientation
+  // Default to camera's right direction to align text horizontally from viewer's perspective
+  const cameraRight = new THREE.Vector3();
+  camera.matrixWorld.extractBasis(cameraRight, new THREE.Vector3(), new THREE.Vector3());
+  cameraRight.normalize();
+  const reference = referenceDirection || cameraRight;
+  
+  let tangent = new THREE.Vector3();
+  let bitangent = new THREE.Vector3();
+
+  // Project the reference direction onto the surface plane (perpendicular to normal)
+  tangent.copy(reference).addScaledVector(normal, -reference.dot(normal));
+  
+  // If projection is too small, use camera up
+  if (tangent.lengthSq() < 0.01) {
+    const cameraUp = new THREE.Vector3();
+    camera.matrixWorld.extractBasis(new THREE.Vector3(), cameraUp, new THREE.Vector3());
+    tangent.copy(cameraUp).addScaledVector(normal, -cameraUp.dot(normal));
+  }
+  tangent.normalize();
+  
+  // Bitangent is perpendicular to both normal and tangent
+  bitangent.crossVectors(normal, tangent).normalize();
+
+  // Get UV coordinates at hit point
+  const uv = hit.uv ? hit.uv.clone() : null;
+
+  // Compute UV tangent by sampling a delta point along 3D tangent
+  let uvTangent = null;
+  if (uv && meshGroup) {
+    const delta = 0.5; // Small step in 3D space
+    const deltaPoint = point.clone().addScaledVector(tangent, delta);
+    const deltaUV = findUVAtPoint(deltaPoint, normal, meshGroup);
+    
+    if (deltaUV) {
+      // Compute 2D tangent direction in UV space
+      const dU = deltaUV.x - uv.x;
+      const dV = deltaUV.y - uv.y;
+      const len = Math.sqrt(dU * dU + dV * dV);
+      if (len > 0.0001) {
+        uvTangent = { x: dU / len, y: dV / len };
+      }
+    }
+  }
+
+  return {
+    point,
+    normal,
+    tangent,
+    bitangent,
+    face: hit.face,
+    faceIndex: hit.faceIndex,
+    uv,
+    uvTangent,
+    object: hit.object,
+    distance: hit.distance
+  };
+}
+
 /**
  * SurfaceRaycaster - Handles click detection on 3D mesh surface
  * Returns: point, normal, tangent, bitangent, UV coordinates, UV tangent, and face info
  * Only triggers on true clicks (mouse down and up at same position), not after dragging/rotating
  * Also shows hover preview dot when mouse is over the model
+ *
+ * While an inscription is being dragged (isDraggingInscription), reports the surface under the
+ * mouse once per frame via onSurfaceDrag, keeping the text's orientation from dragReferenceTangent.
+ * The drag ends on mouse up anywhere (onDragEnd) and never counts as a click.
+ * Releasing a gizmo handle (isTransformingInscription) doesn't count as a click either.
  */
-export default function SurfaceRaycaster({ meshRef, onSurfaceClick, onHover, enabled = true }) {
+export default function SurfaceRaycaster({
+  meshRef,
+  onSurfaceClick,
+  onHover,
+  enabled = true,
+  isDraggingInscription = false,
+  isTransformingInscription = false,
+  dragReferenceTangent = null,
+  onSurfaceDrag,
+  onDragEnd
+}) {
   const { camera, gl, scene } = useThree();
   const raycaster = useMemo(() => new THREE.Raycaster(), []);
   const mouse = useMemo(() => new THREE.Vector2(), []);
@@ -20,12 +126,22 @@ export default function SurfaceRaycaster({ meshRef, onSurfaceClick, onHover, ena
   const isMouseDown = useRef(false);
   const DRAG_THRESHOLD = 5; // pixels - if mouse moves more than this, it's a drag
 
-  // Update hover position each frame
-  useFrame(() => {
-    if (!enabled || !onHover || isMouseDown.current) {
-      return;
-    }
+  // Inscription drag state (refs so the DOM listeners always see the latest values)
+  const isDraggingInscriptionRef = useRef(isDraggingInscription);
+  const isTransformingInscriptionRef = useRef(isTransformingInscription);
+  const onDragEndRef = useRef(onDragEnd);
+  const dragMoved = useRef(false);
+  isDraggingInscriptionRef.current = isDraggingInscription;
+  isTransformingInscriptionRef.current = isTransformingInscription;
+  onDragEndRef.current = onDragEnd;
+
+  // Don't jump on the first frame of a drag - wait for the mouse to move
+  useEffect(() => {
+    dragMoved.current = false;
+  }, [isDraggingInscription]);
 
+  // Helper: raycast the mesh at the current mouse position
+  const raycastAtMouse = () => {
     // Get canvas bounds
     const rect = gl.domElement.getBoundingClientRect();
     
@@ -36,18 +152,32 @@ export default function SurfaceRaycaster({ meshRef, onSurfaceClick, onHover, ena
     // Update raycaster
     raycaster.setFromCamera(mouse, camera);
 
-    // Find intersections with the mesh
-    let intersects = [];
-    
-    if (meshRef && meshRef.current) {
-      intersects = raycaster.intersectObject(meshRef.current, true);
+    if (!meshRef || !meshRef.current) return null;
+    const meshIntersects = raycaster.intersectObject(meshRef.current, true).filter(i => i.object.isMesh);
+    return meshIntersects.length > 0 ? meshIntersects[0] : null;
+  };
+
+  // Update hover position (or the dragged inscription) each frame
+  useFrame(() => {
+    if (enabled && isDraggingInscription) {
+      // Only re-place when the mouse moved (placement rebuilds the text geometry)
+      if (!dragMoved.current || !onSurfaceDrag) return;
+      dragMoved.current = false;
+
+      const hit = raycastAtMouse();
+      if (hit) {
+        onSurfaceDrag(computeClickData(hit, camera, meshRef.current, dragReferenceTangent));
+      }
+      return;
+    }
+
+    if (!enabled || !onHover || isMouseDown.current || isTransformingInscription) {
+      return;
     }
 
-    // Filter to only mesh objects
-    const meshIntersects = intersects.filter(i => i.object.isMesh);
+    const hit = raycastAtMouse();
 
-    if (meshIntersects.length > 0) {
-      const hit = meshIntersects[0];
+    if (hit) {
       const point = hit.point.clone();
       const normal = hit.face.normal.clone();
       const normalMatrix = new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld);
@@ -62,24 +192,6 @@ export default function SurfaceRaycaster({ meshRef, onSurfaceClick, onHover, ena
   useEffect(() => {
     if (!enabled) return;
 
-    /**
-     * Find UV at a 3D point by raycasting from above the surface
-     */
-    const findUVAtPoint = (point3D, normal, meshGroup) => {
-      const tempRaycaster = new THREE.Raycaster();
-      // Cast ray from slightly above the point, along negative normal
-      const origin = point3D.clone().addScaledVector(normal, 1);
-      tempRaycaster.set(origin, normal.clone().negate());
-      
-      const hits = tempRaycaster.intersectObject(meshGroup, true);
-      const meshHits = hits.filter(h => h.object.isMesh);
-      
-      if (meshHits.length > 0 && meshHits[0].uv) {
-        return meshHits[0].uv.clone();
-      }
-      return null;
-    };
-
     const handleMouseDown = (event) => {
       mouseDownPos.current = { x: event.clientX, y: event.clientY };
       isDragging.current = false;
@@ -88,6 +200,7 @@ export default function SurfaceRaycaster({ meshRef, onSurfaceClick, onHover, ena
 
     const handleMouseMove = (event) => {
       currentMouse.current = { x: event.clientX, y: event.clientY };
+      dragMoved.current = true;
       
       // Check if mouse has moved beyond threshold
       if (isMouseDown.current) {
@@ -102,6 +215,11 @@ export default function SurfaceRaycaster({ meshRef, onSurfaceClick, onHover, ena
     const handleMouseUp = (event) => {
       isMouseDown.current = false;
       
+      // Releasing a dragged inscription or gizmo handle is not a click (window listeners end the drag)
+      if (isDraggingInscriptionRef.current || isTransformingInscriptionRef.current) {
+        return;
+      }
+      
       // Only process as click if we didn't drag
       if (isDragging.current) {
         return;
@@ -131,86 +249,36 @@ export default function SurfaceRaycaster({ meshRef, onSurfaceClick, onHover, ena
 
       if (meshIntersects.length > 0) {
         const hit = meshIntersects[0];
-        
-        // Get the intersection point in world coordinates
-        const point = hit.point.clone();
-        
-        // Get the face normal in world coordinates
-        const normal = hit.face.normal.clone();
-        const normalMatrix = new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld);
-        normal.applyMatrix3(normalMatrix).normalize();
-
-        // Calculate tangent and bitangent for text orientation
-        // Use camera's right direction to align text horizontally from viewer's perspective
-        const cameraRight = new THREE.Vector3();
-        camera.matrixWorld.extractBasis(cameraRight, new THREE.Vector3(), new THREE.Vector3());
-        cameraRight.normalize();
-        
-        let tangent = new THREE.Vector3();
-        let bitangent = new THREE.Vector3();
-
-        // Project camera right onto the surface plane (perpendicular to normal)
-        tangent.copy(cameraRight).addScaledVector(normal, -cameraRight.dot(normal));
-        
-        // If projection is too small, use camera up
-        if (tangent.lengthSq() < 0.01) {
-          const cameraUp = new THREE.Vector3();
-          camera.matrixWorld.extractBasis(new THREE.Vector3(), cameraUp, new THREE.Vector3());
-          tangent.copy(cameraUp).addScaledVector(normal, -cameraUp.dot(normal));
-        }
-        tangent.normalize();
-        
-        // Bitangent is perpendicular to both normal and tangent
-        bitangent.crossVectors(normal, tangent).normalize();
-
-        // Get UV coordinates at hit point
-        const uv = hit.uv ? hit.uv.clone() : null;
-
-        // Compute UV tangent by sampling a delta point along 3D tangent
-        let uvTangent = null;
-        if (uv && meshRef && meshRef.current) {
-          const delta = 0.5; // Small step in 3D space
-          const deltaPoint = point.clone().addScaledVector(tangent, delta);
-          const deltaUV = findUVAtPoint(deltaPoint, normal, meshRef.current);
-          
-          if (deltaUV) {
-            // Compute 2D tangent direction in UV space
-            const dU = deltaUV.x - uv.x;
-            const dV = deltaUV.y - uv.y;
-            const len = Math.sqrt(dU * dU + dV * dV);
-            if (len > 0.0001) {
-              uvTangent = { x: dU / len, y: dV / len };
-              console.log(`   UV Tangent: (${uvTangent.x.toFixed(4)}, ${uvTangent.y.toFixed(4)})`);
-            }
-          }
+        const clickData = computeClickData(hit, camera, meshRef?.current);
+        if (clickData.uvTangent) {
+          console.log(`   UV Tangent: (${clickData.uvTangent.x.toFixed(4)}, ${clickData.uvTangent.y.toFixed(4)})`);
         }
 
         // Call the callback with hit information
         if (onSurfaceClick) {
-          onSurfaceClick({
-            point,
-            normal,
-            tangent,
-            bitangent,
-            face: hit.face,
-            faceIndex: hit.faceIndex,
-            uv,
-            uvTangent,
-            object: hit.object,
-            distance: hit.distance
-          });
+          onSurfaceClick(clickData);
         }
       }
     };
 
+    // End an inscription drag wherever the mouse is released (even outside the canvas)
+    const handleDragRelease = () => {
+      isMouseDown.current = false;
+      if (isDraggingInscriptionRef.current && onDragEndRef.current) {
+        onDragEndRef.current();
+      }
+    };
+
     gl.domElement.addEventListener('mousedown', handleMouseDown);
     gl.domElement.addEventListener('mousemove', handleMouseMove);
     gl.domElement.addEventListener('mouseup', handleMouseUp);
+    window.addEventListener('mouseup', handleDragRelease);
 
     return () => {
       gl.domElement.removeEventListener('mousedown', handleMouseDown);
       gl.domElement.removeEventListener('mousemove', handleMouseMove);
       gl.domElement.removeEventListener('mouseup', handleMouseUp);
+      window.removeEventListener('mouseup', handleDragRelease);
     };
   }, [enabled, meshRef, camera, gl, scene, raycaster, mouse, onSurfaceClick]);
 
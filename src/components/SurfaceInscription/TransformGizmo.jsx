@@ -0,0 +1,235 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Line } from '@react-three/drei';
+import * as THREE from 'three';
+import { findUVAtPoint } from './SurfaceRaycaster';
+import { MAX_FONT_SIZE, MIN_FONT_SIZE, scaleToFontSize, fontSizeToScale } from '../../utils/fontRegistry';
+
+const GIZMO_LIFT = 0.3;         // Distance above the surface so the gizmo isn't hidden by the text
+const MIN_RING_RADIUS = 4;      // Smallest rotation ring (short inscriptions)
+const RING_MARGIN = 1.15;       // Ring radius relative to the farthest corner
+const RING_WIDTH = 0.35;
+const HANDLE_SIZE = 0.9;
+const GIZMO_COLOR = '#4a90d9';
+const ACTIVE_COLOR = '#ff9f1c';
+
+// Helper: +1 if the UV map keeps the surface frame's handedness at the click point, -1 if mirrored
+// (UVTextMapper rotates counter-clockwise in UV space, which may be clockwise on the surface)
+function getUVHandedness(clickData, meshGroup) {
+  const { point, normal, bitangent, uv, uvTangent } = clickData;
+  if (!meshGroup || !uv || !uvTangent) return 1;
+
+  const deltaUV = findUVAtPoint(point.clone().addScaledVector(bitangent, 0.5), normal, meshGroup);
+  if (!deltaUV) return 1;
+
+  const cross = uvTangent.x * (deltaUV.y - uv.y) - uvTangent.y * (deltaUV.x - uv.x);
+  return cross < 0 ? -1 : 1;
+}
+
+// Helper: the inscription's horizontal and vertical directions on the surface for a rotation (degrees)
+function getTextAxes(clickData, rotation, handedness) {
+  const rad = (rotation * Math.PI) / 180;
+  const xAxis = clickData.tangent.clone().multiplyScalar(Math.cos(rad))
+    .addScaledVector(clickData.bitangent, handedness * Math.sin(rad));
+  const yAxis = new THREE.Vector3().crossVectors(clickData.normal, xAxis).multiplyScalar(handedness);
+  return { xAxis, yAxis };
+}
+
+// Helper: extent of the inscription geometry along the text axes, relative to the click point
+function getTextBounds(geometry, point, xAxis, yAxis) {
+  const positions = geometry.attributes.position;
+  const offset = new THREE.Vector3();
+  const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+
+  for (let i = 0; i < positions.count; i++) {
+    offset.fromBufferAttribute(positions, i).sub(point);
+    const x = offset.dot(xAxis);
+    const y = offset.dot(yAxis);
+    bounds.minX = Math.min(bounds.minX, x);
+    bounds.maxX = Math.max(bounds.maxX, x);
+    bounds.minY = Math.min(bounds.minY, y);
+    bounds.maxY = Math.max(bounds.maxY, y);
+  }
+
+  return bounds;
+}
+
+/**
+ * TransformGizmo - On-surface handles for the selected inscription
+ * A rotation ring lies in the tangent plane around the click point and a handle sits on each
+ * corner of the text's bounds. Dragging the ring rotates the inscription (onRotate, degrees in
+ * -180..180); dragging a corner scales it about the click point (onScale), snapped to the font
+ * sizes between minSize and MAX_FONT_SIZE like the size slider.
+ *
+ * onTransformStart / onTransformEnd bracket a drag so the camera and surface clicks can be suspended.
+ * The drag ends on mouse up anywhere, after the surface raycaster has seen the release.
+ */
+export default function TransformGizmo({
+  clickData,
+  meshRef,
+  geometry,
+  rotation = 0,
+  scale,
+  minSize = MIN_FONT_SIZE,
+  onRotate,
+  onScale,
+  onTransformStart,
+  onTransformEnd
+}) {
+  const [activeHandle, setActiveHandle] = useState(null); // 'rotate', 'scale' or null
+  const dragRef = useRef(null);
+  const lastBoundsRef = useRef(null);
+
+  const handedness = useMemo(
+    () => getUVHandedness(clickData, meshRef?.current),
+    [clickData, meshRef]
+  );
+
+  const { xAxis, yAxis } = useMemo(
+    () => getTextAxes(clickData, rotation, handedness),
+    [clickData, rotation, handedness]
+  );
+
+  // Text bounds (keep the last ones while the geometry regenerates)
+  const bounds = useMemo(() => {
+    if (geometry) {
+      lastBoundsRef.current = getTextBounds(geometry, clickData.point, xAxis, yAxis);
+    }
+    return lastBoundsRef.current;
+  }, [geometry, clickData, xAxis, yAxis]);
+
+  // Gizmo frame: lifted click point, oriented so local X/Y follow the text
+  const { center, quaternion, corners, ringRadius } = useMemo(() => {
+    const center = clickData.point.clone().addScaledVector(clickData.normal, GIZMO_LIFT);
+    // Right-handed basis; the local Y sign absorbs a mirrored UV map
+    const localY = new THREE.Vector3().crossVectors(clickData.normal, xAxis);
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(
+      new THREE.Matrix4().makeBasis(xAxis, localY, clickData.normal)
+    );
+
+    const b = bounds || { minX: -1, maxX: 1, minY: -1, maxY: 1 };
+    const corners = [
+      [b.minX, b.minY],
+      [b.maxX, b.minY],
+      [b.maxX, b.maxY],
+      [b.minX, b.maxY]
+    ].map(([x, y]) => [x, handedness * y, 0]);
+
+    const farthest = Math.max(...corners.map(([x, y]) => Math.hypot(x, y)));
+    const ringRadius = Math.max(MIN_RING_RADIUS, farthest * RING_MARGIN);
+
+    return { center, quaternion, corners, ringRadius };
+  }, [clickData, xAxis, bounds, handedness]);
+
+  // Helper: pointer position on the tangent plane as (x, y) in the unrotated surface frame
+  const projectPointer = (ray) => {
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(clickData.normal, center);
+    const hit = ray.intersectPlane(plane, new THREE.Vector3());
+    if (!hit) return null;
+
+    hit.sub(center);
+    return {
+      x: hit.dot(clickData.tangent),
+      y: hit.dot(clickData.bitangent) * handedness
+    };
+  };
+
+  const handlePointerDown = (handle) => (event) => {
+    event.stopPropagation();
+    const pointer = projectPointer(event.ray);
+    if (!pointer) return;
+
+    event.target.setPointerCapture(event.pointerId);
+    dragRef.current = {
+      handle,
+      startAngle: Math.atan2(pointer.y, pointer.x),
+      startDistance: Math.max(Math.hypot(pointer.x, pointer.y), 0.001),
+      startRotation: rotation,
+      startScale: scale
+    };
+    setActiveHandle(handle);
+    onTransformStart?.();
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    event.stopPropagation();
+
+    const pointer = projectPointer(event.ray);
+    if (!pointer) return;
+
+    if (drag.handle === 'rotate') {
+      const delta = (Math.atan2(pointer.y, pointer.x) - drag.startAngle) * 180 / Math.PI;
+      // Wrap into -180..180 like the rotation slider
+      const newRotation = Math.round(((drag.startRotation + delta + 180) % 360 + 360) % 360 - 180);
+      if (newRotation !== rotation) {
+        onRotate?.(newRotation);
+      }
+    } else {
+      const ratio = Math.hypot(pointer.x, pointer.y) / drag.startDistance;
+      const size = Math.min(MAX_FONT_SIZE, Math.max(minSize, scaleToFontSize(drag.startScale * ratio)));
+      if (size !== scaleToFontSize(scale)) {
+        onScale?.(fontSizeToScale(size));
+      }
+    }
+  };
+
+  // End the drag wherever the mouse is released (window listeners run after the canvas ones)
+  useEffect(() => {
+    if (!activeHandle) return;
+
+    const handleRelease = () => {
+      dragRef.current = null;
+      setActiveHandle(null);
+      onTransformEnd?.();
+    };
+
+    window.addEventListener('mouseup', handleRelease);
+    return () => window.removeEventListener('mouseup', handleRelease);
+  }, [activeHandle, onTransformEnd]);
+
+  const handleProps = (handle) => ({
+    onPointerDown: handlePointerDown(handle),
+    onPointerMove: handlePointerMove,
+    renderOrder: 1000
+  });
+
+  return (
+    <group position={center} quaternion={quaternion}>
+      {/* Rotation ring in the tangent plane */}
+      <mesh {...handleProps('rotate')}>
+        <ringGeometry args={[ringRadius - RING_WIDTH / 2, ringRadius + RING_WIDTH / 2, 96]} />
+        <meshBasicMaterial
+          color={activeHandle === 'rotate' ? ACTIVE_COLOR : GIZMO_COLOR}
+          side={THREE.DoubleSide}
+          transparent
+          opacity={0.8}
+          depthTest={false}
+        />
+      </mesh>
+
+      {/* Text bounds */}
+      <Line
+        points={[...corners, corners[0]]}
+        color={GIZMO_COLOR}
+        lineWidth={1}
+        dashed
+        dashSize={0.4}
+        gapSize={0.3}
+        depthTest={false}
+        renderOrder={1000}
+      />
+
+      {/* Scale handles on the corners */}
+      {corners.map((corner, index) => (
+        <mesh key={index} position={corner} {...handleProps('scale')}>
+          <boxGeometry args={[HANDLE_SIZE, HANDLE_SIZE, HANDLE_SIZE * 0.2]} />
+          <meshBasicMaterial
+            color={activeHandle === 'scale' ? ACTIVE_COLOR : 'white'}
+            depthTest={false}
+          />
+        </mesh>
+      ))}
+    </group>
+  );
+}
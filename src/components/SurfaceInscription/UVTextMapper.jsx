@@ -1,50 +1,94 @@
 import React, { useEffect, useMemo, useState, useRef } from 'react';
 import * as THREE from 'three';
-import { FontLoader } from 'three/examples/jsm/loaders/FontLoader';
+import { svgToShapes } from '../../utils/svgShapes';
+import { BUILT_IN_FONTS, DEFAULT_FONT_ID, findFont, loadFont } from '../../utils/fontRegistry';
+import { buildInscriptionGeometry, buildUVGrid } from '../../utils/inscriptionGeometry';
+import { layoutTextShapes, DEFAULT_ARC_RADIUS, DEFAULT_LINE_HEIGHT, DEFAULT_LETTER_SPACING } from '../../utils/textLayout';
 
-// Default fonts list
-const DEFAULT_FONTS = [
-  { id: 'helvetiker', name: 'Helvetica', url: 'https://threejs.org/examples/fonts/helvetiker_regular.typeface.json' }
-];
+// Shared empty kerning table (a stable default keeps the geometry memo from re-running)
+const NO_KERNING = {};
 
 // Global cache for UV grids per mesh
 const uvGridCache = new WeakMap();
 
 /**
  * UVTextMapper - Creates extruded text in UV space and maps to 3D surface
- * Creates front face, back face, and side walls for proper CSG subtraction
- * Subdivides triangles to better conform to curved surfaces
+ * Creates front face, back face, and side walls for proper CSG subtraction/union
+ * Subdivides triangles to better conform to curved surfaces (see utils/inscriptionGeometry)
+ *
+ * type 'text' lays out glyphs from the font; type 'svg' uses the filled paths of svgSource
+ *
+ * mode 'engrave': solid from just above the surface down to -extrudeDepth (subtracted)
+ * mode 'emboss':  solid from just below the surface up to +extrudeDepth (unioned)
  */
 export default function UVTextMapper({ 
   clickData, 
   meshRef, 
+  type = 'text',
   text = 'Roger',
+  svgSource = null,
   textScale = 0.01,
   extrudeDepth = 2.0,
-  fontId = 'helvetiker',
+  fontId = DEFAULT_FONT_ID,
+  fallbackFontId = null,
   rotation = 0,
-  availableFonts = DEFAULT_FONTS,
+  mode = 'engrave',
+  align = 'left',
+  lineHeight = DEFAULT_LINE_HEIGHT,
+  letterSpacing = DEFAULT_LETTER_SPACING,
+  kerning = NO_KERNING,
+  layout = 'straight',
+  arcRadius = DEFAULT_ARC_RADIUS,
+  arcStartAngle = 0,
+  arcDirection = 'convex',
+  availableFonts = BUILT_IN_FONTS,
   maxTriangleSize = 0.5, // Maximum edge length in text space before subdivision
   onTextDataReady,
-  onOutOfBounds
+  onOutOfBounds,
+  onPointerDown // Grab the text mesh to drag the inscription
 }) {
   const [font, setFont] = useState(null);
-  const [loadedFontId, setLoadedFontId] = useState(null);
+  const [loadedFontKey, setLoadedFontKey] = useState(null);
 
-  // Load font when fontId changes
+  // Load font when fontId changes (bundled file or uploaded data, see fontRegistry)
   useEffect(() => {
-    const fontInfo = availableFonts.find(f => f.id === fontId) || availableFonts[0];
+    const fontInfo = findFont(availableFonts, fontId);
+    const fontKey = `${fontInfo.id}:${fontInfo.hash}`;
     
     // Skip if already loaded
-    if (loadedFontId === fontInfo.id && font) return;
+    if (loadedFontKey === fontKey && font) return;
     
-    const loader = new FontLoader();
-    loader.load(fontInfo.url, (loadedFont) => {
-      setFont(loadedFont);
-      setLoadedFontId(fontInfo.id);
-      console.log(`🔤 Font loaded: ${fontInfo.name}`);
-    });
-  }, [fontId, availableFonts, loadedFontId, font]);
+    let cancelled = false;
+    loadFont(fontInfo)
+      .then((loadedFont) => {
+        if (cancelled) return;
+        setFont(loadedFont);
+        setLoadedFontKey(fontKey);
+        console.log(`🔤 Font loaded: ${fontInfo.name}`);
+      })
+      .catch((error) => console.error('❌ Font load failed:', error));
+    
+    return () => { cancelled = true; };
+  }, [fontId, availableFonts, loadedFontKey, font]);
+
+  // Load the fallback font for characters the main font lacks
+  const [fallbackFont, setFallbackFont] = useState(null);
+
+  useEffect(() => {
+    if (!fallbackFontId) {
+      setFallbackFont(null);
+      return;
+    }
+    
+    let cancelled = false;
+    loadFont(findFont(availableFonts, fallbackFontId))
+      .then((loadedFont) => {
+        if (!cancelled) setFallbackFont(loadedFont);
+      })
+      .catch((error) => console.error('❌ Fallback font load failed:', error));
+    
+    return () => { cancelled = true; };
+  }, [fallbackFontId, availableFonts]);
 
   // Cache UV grid for mesh (only rebuild if mesh changes)
   const uvGridData = useMemo(() => {
@@ -57,242 +101,45 @@ export default function UVTextMapper({
     
     // Build and cache
     console.log('🔧 Building UV grid index...');
-    const gridData = buildUVGrid(meshRef);
+    const gridData = buildUVGrid(meshRef.current);
     uvGridCache.set(meshRef.current, gridData);
     console.log(`   Grid built with ${gridData.triangleData.length} triangles`);
     return gridData;
   }, [meshRef?.current]);
 
+  // Parse SVG logo shapes once per source (they don't depend on placement)
+  const svgShapes = useMemo(() => {
+    if (type !== 'svg' || !svgSource) return null;
+    try {
+      return svgToShapes(svgSource);
+    } catch (error) {
+      console.error('Failed to parse SVG:', error);
+      return null;
+    }
+  }, [type, svgSource]);
+
   // Generate extruded text mesh
   const textMeshData = useMemo(() => {
-    if (!font || !clickData || !clickData.uv || !clickData.uvTangent || !meshRef?.current || !uvGridData) {
+    const hasShapeSource = type === 'svg' ? svgShapes?.length > 0 : !!font;
+    if (!hasShapeSource || !clickData || !clickData.uv || !clickData.uvTangent || !meshRef?.current || !uvGridData) {
       return null;
     }
 
     const { uv, uvTangent } = clickData;
     
-    // Apply rotation to UV tangent
-    const rotRad = (rotation * Math.PI) / 180;
-    const cosR = Math.cos(rotRad);
-    const sinR = Math.sin(rotRad);
-    const rotatedTangent = {
-      x: uvTangent.x * cosR - uvTangent.y * sinR,
-      y: uvTangent.x * sinR + uvTangent.y * cosR
-    };
-    
-    // UV bitangent (perpendicular to rotated tangent)
-    const uvBitangent = {
-      x: -rotatedTangent.y,
-      y: rotatedTangent.x
-    };
-
     console.log('📝 Generating extruded text mesh in UV space...');
-    console.log(`   Text: "${text}", Scale: ${textScale}, Depth: ${extrudeDepth}, Rotation: ${rotation}°`);
-
-    // Generate shapes from font
-    const shapes = font.generateShapes(text, 1);
-    
-    // Create ShapeGeometry (triangulated 2D mesh - front face)
-    const shapeGeom = new THREE.ShapeGeometry(shapes);
-    const posAttr = shapeGeom.attributes.position;
-    const indexAttr = shapeGeom.index;
-
-    console.log(`   Original ShapeGeometry: ${posAttr.count} vertices, ${indexAttr ? indexAttr.count / 3 : posAttr.count / 3} triangles`);
-
-    // Extract original vertices (in text space, scaled)
-    const originalVertices = [];
-    for (let i = 0; i < posAttr.count; i++) {
-      originalVertices.push({
-        x: posAttr.getX(i) * textScale,
-        y: posAttr.getY(i) * textScale
-      });
-    }
-
-    // Get original indices
-    const originalIndices = [];
-    if (indexAttr) {
-      for (let i = 0; i < indexAttr.count; i++) {
-        originalIndices.push(indexAttr.getX(i));
-      }
-    } else {
-      for (let i = 0; i < posAttr.count; i++) {
-        originalIndices.push(i);
-      }
-    }
-
-    // Subdivide triangles to better conform to curved surfaces
-    const { vertices: subdivVertices, indices: subdivIndices } = subdivideTriangles(
-      originalVertices,
-      originalIndices,
-      maxTriangleSize * textScale // Scale the max size to match text scale
-    );
-
-    console.log(`   After subdivision: ${subdivVertices.length} vertices, ${subdivIndices.length / 3} triangles`);
-
-    // Extract edge vertices for side walls
-    const edgeVertices = extractShapeEdges(shapes, textScale);
-    console.log(`   Edge vertices for sides: ${edgeVertices.length} points`);
-
-    // Transform subdivided vertices to UV space (using rotated tangent)
-    const uvVertices = subdivVertices.map(v => ({
-      u: uv.x + v.x * rotatedTangent.x + v.y * uvBitangent.x,
-      v: uv.y + v.x * rotatedTangent.y + v.y * uvBitangent.y
-    }));
-
-    // Use subdivided indices
-    const faceIndices = subdivIndices;
-
-    // Transform edge vertices to UV space (using rotated tangent)
-    const uvEdgeVertices = edgeVertices.map(({ x, y, isGap, isHole }) => ({
-      u: uv.x + x * rotatedTangent.x + y * uvBitangent.x,
-      v: uv.y + x * rotatedTangent.y + y * uvBitangent.y,
-      isGap,
-      isHole
-    }));
-
-    // Map UV vertices to 3D using cached grid
-    const { vertices3D: faceVertices3D, normals3D: faceNormals3D } = mapUVVerticesToMeshFast(uvVertices, uvGridData);
-    const { vertices3D: edgeVertices3D, normals3D: edgeNormals3D } = mapUVVerticesToMeshFast(uvEdgeVertices, uvGridData);
-
-    const faceMappedCount = faceVertices3D.filter(v => v).length;
-    // For edge vertices, count only non-gap vertices
-    const nonGapEdgeCount = uvEdgeVertices.filter(v => !v.isGap).length;
-    const edgeMappedCount = edgeVertices3D.filter(v => v).length;
-    console.log(`   Mapped ${faceMappedCount}/${uvVertices.length} face vertices`);
-    console.log(`   Mapped ${edgeMappedCount}/${nonGapEdgeCount} edge vertices (excluding gaps)`);
-
-    // Check if any vertices are out of UV bounds (not mapped)
-    const unmappedFaceCount = uvVertices.length - faceMappedCount;
-    const unmappedEdgeCount = nonGapEdgeCount - edgeMappedCount;
-    const hasUnmappedVertices = unmappedFaceCount > 0 || unmappedEdgeCount > 0;
-    
-    if (hasUnmappedVertices) {
-      console.warn(`⚠️ Text has ${unmappedFaceCount + unmappedEdgeCount} vertices outside UV bounds!`);
-      return { isOutOfBounds: true, unmappedCount: unmappedFaceCount + unmappedEdgeCount };
-    }
-
-    // Build combined 3D geometry
-    const positions = [];
-    const indices = [];
-    let vertexOffset = 0;
-
-    // === FRONT FACE ===
-    const frontOffset = 0.2;
-    const frontVertexStart = vertexOffset;
-    
-    for (let i = 0; i < uvVertices.length; i++) {
-      if (faceVertices3D[i] && faceNormals3D[i]) {
-        const p = faceVertices3D[i].clone().addScaledVector(faceNormals3D[i], frontOffset);
-        positions.push(p.x, p.y, p.z);
-      } else {
-        positions.push(0, 0, 0);
-      }
-    }
-    vertexOffset += uvVertices.length;
-
-    // Front face triangles
-    for (let i = 0; i < faceIndices.length; i += 3) {
-      const i0 = faceIndices[i];
-      const i1 = faceIndices[i + 1];
-      const i2 = faceIndices[i + 2];
-
-      if (faceVertices3D[i0] && faceVertices3D[i1] && faceVertices3D[i2]) {
-        indices.push(frontVertexStart + i0, frontVertexStart + i1, frontVertexStart + i2);
-      }
-    }
-
-    // === BACK FACE ===
-    const backVertexStart = vertexOffset;
-    
-    for (let i = 0; i < uvVertices.length; i++) {
-      if (faceVertices3D[i] && faceNormals3D[i]) {
-        const p = faceVertices3D[i].clone().addScaledVector(faceNormals3D[i], -extrudeDepth);
-        positions.push(p.x, p.y, p.z);
-      } else {
-        positions.push(0, 0, 0);
-      }
-    }
-    vertexOffset += uvVertices.length;
-
-    // Back face triangles (reversed winding)
-    for (let i = 0; i < faceIndices.length; i += 3) {
-      const i0 = faceIndices[i];
-      const i1 = faceIndices[i + 1];
-      const i2 = faceIndices[i + 2];
-
-      if (faceVertices3D[i0] && faceVertices3D[i1] && faceVertices3D[i2]) {
-        indices.push(backVertexStart + i0, backVertexStart + i2, backVertexStart + i1);
-      }
-    }
-
-    // === SIDE WALLS ===
-    const frontEdgeStart = vertexOffset;
-    
-    for (let i = 0; i < uvEdgeVertices.length; i++) {
-      if (edgeVertices3D[i] && edgeNormals3D[i]) {
-        const p = edgeVertices3D[i].clone().addScaledVector(edgeNormals3D[i], frontOffset);
-        positions.push(p.x, p.y, p.z);
-      } else {
-        positions.push(0, 0, 0);
-      }
-    }
-    vertexOffset += uvEdgeVertices.length;
-
-    const backEdgeStart = vertexOffset;
-    
-    for (let i = 0; i < uvEdgeVertices.length; i++) {
-      if (edgeVertices3D[i] && edgeNormals3D[i]) {
-        const p = edgeVertices3D[i].clone().addScaledVector(edgeNormals3D[i], -extrudeDepth);
-        positions.push(p.x, p.y, p.z);
-      } else {
-        positions.push(0, 0, 0);
-      }
-    }
-    vertexOffset += uvEdgeVertices.length;
-
-    // Side wall triangles
-    for (let i = 0; i < uvEdgeVertices.length - 1; i++) {
-      // Skip gaps between contours
-      if (uvEdgeVertices[i].isGap || uvEdgeVertices[i + 1].isGap) continue;
-      if (!edgeVertices3D[i] || !edgeVertices3D[i + 1]) continue;
-
-      const f0 = frontEdgeStart + i;
-      const f1 = frontEdgeStart + i + 1;
-      const b0 = backEdgeStart + i;
-      const b1 = backEdgeStart + i + 1;
-
-      // Two triangles per quad
-      // Holes need reversed winding to face inward
-      if (uvEdgeVertices[i].isHole) {
-        // Reversed winding for holes
-        indices.push(f0, f1, b0);
-        indices.push(f1, b1, b0);
-      } else {
-        // Normal winding for outer contours
-        indices.push(f0, b0, f1);
-        indices.push(f1, b0, b1);
-      }
-    }
-
-    console.log(`   Total: ${positions.length / 3} vertices, ${indices.length / 3} triangles`);
-
-    // Create BufferGeometry
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-    geometry.setIndex(indices);
-    geometry.computeVertexNormals();
-
-    shapeGeom.dispose();
+    console.log(`   ${type === 'svg' ? 'SVG logo' : `Text: "${text}"`}, Scale: ${textScale}, Depth: ${extrudeDepth}, Rotation: ${rotation}°, Mode: ${mode}, Layout: ${layout}`);
 
-    // Build triangles array for UV panel
-    const triangles = [];
-    for (let i = 0; i < faceIndices.length; i += 3) {
-      triangles.push([faceIndices[i], faceIndices[i + 1], faceIndices[i + 2]]);
-    }
+    // Generate shapes from the SVG logo, or from the font (lines aligned around the click point, straight or along an arc)
+    const shapes = type === 'svg' ? svgShapes : layoutTextShapes(font, text, {
+      layout, align, lineHeight, letterSpacing, kerning, arcRadius, arcStartAngle, arcDirection, fallbackFont
+    });
 
-    return { uvVertices, vertices3D: faceVertices3D, triangles, geometry };
+    return buildInscriptionGeometry(shapes, clickData, uvGridData, {
+      textScale, extrudeDepth, rotation, mode, maxTriangleSize
+    });
 
-  }, [font, clickData, meshRef, text, textScale, extrudeDepth, rotation, maxTriangleSize, uvGridData]);
+  }, [font, fallbackFont, svgShapes, type, clickData, meshRef, text, textScale, extrudeDepth, rotation, mode, align, lineHeight, letterSpacing, kerning, layout, arcRadius, arcStartAngle, arcDirection, maxTriangleSize, uvGridData]);
 
   // Track last notification to prevent infinite loops from callback reference changes
   const lastNotificationRef = useRef({ isOutOfBounds: null, geometryId: null });
@@ -330,282 +177,8 @@ export default function UVTextMapper({
   if (!textMeshData || textMeshData.isOutOfBounds || !textMeshData.geometry) return null;
 
   return (
-    <mesh geometry={textMeshData.geometry}>
+    <mesh geometry={textMeshData.geometry} onPointerDown={onPointerDown}>
       <meshStandardMaterial color="#ffffff" side={THREE.DoubleSide} />
     </mesh>
   );
 }
-
-/**
- * Subdivide triangles that are too large
- * This helps the mesh conform better to curved surfaces
- */
-function subdivideTriangles(vertices, indices, maxEdgeLength) {
-  // Work with arrays we can modify
-  let currentVertices = [...vertices];
-  let currentIndices = [...indices];
-  
-  // Keep subdividing until all triangles are small enough
-  let iterations = 0;
-  const maxIterations = 5; // Prevent infinite loops
-  
-  while (iterations < maxIterations) {
-    const newIndices = [];
-    let subdivided = false;
-    
-    for (let i = 0; i < currentIndices.length; i += 3) {
-      const i0 = currentIndices[i];
-      const i1 = currentIndices[i + 1];
-      const i2 = currentIndices[i + 2];
-      
-      const v0 = currentVertices[i0];
-      const v1 = currentVertices[i1];
-      const v2 = currentVertices[i2];
-      
-      // Calculate edge lengths
-      const e01 = Math.sqrt((v1.x - v0.x) ** 2 + (v1.y - v0.y) ** 2);
-      const e12 = Math.sqrt((v2.x - v1.x) ** 2 + (v2.y - v1.y) ** 2);
-      const e20 = Math.sqrt((v0.x - v2.x) ** 2 + (v0.y - v2.y) ** 2);
-      
-      const maxEdge = Math.max(e01, e12, e20);
-      
-      if (maxEdge > maxEdgeLength) {
-        // Subdivide by splitting the longest edge
-        subdivided = true;
-        
-        // Find which edge to split
-        let splitV0, splitV1, oppositeV, splitI0, splitI1, oppositeI;
-        
-        if (e01 >= e12 && e01 >= e20) {
-          splitV0 = v0; splitV1 = v1; oppositeV = v2;
-          splitI0 = i0; splitI1 = i1; oppositeI = i2;
-        } else if (e12 >= e01 && e12 >= e20) {
-          splitV0 = v1; splitV1 = v2; oppositeV = v0;
-          splitI0 = i1; splitI1 = i2; oppositeI = i0;
-        } else {
-          splitV0 = v2; splitV1 = v0; oppositeV = v1;
-          splitI0 = i2; splitI1 = i0; oppositeI = i1;
-        }
-        
-        // Create midpoint
-        const midpoint = {
-          x: (splitV0.x + splitV1.x) / 2,
-          y: (splitV0.y + splitV1.y) / 2
-        };
-        
-        const midIdx = currentVertices.length;
-        currentVertices.push(midpoint);
-        
-        // Create two new triangles
-        // Triangle 1: splitV0, midpoint, opposite
-        newIndices.push(splitI0, midIdx, oppositeI);
-        // Triangle 2: midpoint, splitV1, opposite
-        newIndices.push(midIdx, splitI1, oppositeI);
-      } else {
-        // Keep triangle as-is
-        newIndices.push(i0, i1, i2);
-      }
-    }
-    
-    currentIndices = newIndices;
-    
-    if (!subdivided) break;
-    iterations++;
-  }
-  
-  console.log(`   Subdivision iterations: ${iterations}`);
-  
-  return { vertices: currentVertices, indices: currentIndices };
-}
-
-/**
- * Extract edge vertices from shapes for side walls
- */
-function extractShapeEdges(shapes, scale) {
-  const edgePoints = [];
-  
-  shapes.forEach((shape, shapeIdx) => {
-    // Add gap marker between shapes
-    if (shapeIdx > 0) {
-      edgePoints.push({ x: 0, y: 0, isGap: true, isHole: false });
-    }
-    
-    // Main shape contour (outer contour - winds counter-clockwise)
-    const shapePoints = shape.getPoints(12);
-    shapePoints.forEach(pt => {
-      edgePoints.push({ x: pt.x * scale, y: pt.y * scale, isGap: false, isHole: false });
-    });
-    // Close the contour
-    if (shapePoints.length > 0) {
-      edgePoints.push({ x: shapePoints[0].x * scale, y: shapePoints[0].y * scale, isGap: false, isHole: false });
-    }
-    
-    // Holes (inner contours - wind clockwise, need reversed winding for side walls)
-    if (shape.holes) {
-      shape.holes.forEach((hole) => {
-        edgePoints.push({ x: 0, y: 0, isGap: true, isHole: true }); // Gap before hole
-        const holePoints = hole.getPoints(12);
-        holePoints.forEach(pt => {
-          edgePoints.push({ x: pt.x * scale, y: pt.y * scale, isGap: false, isHole: true });
-        });
-        // Close hole contour
-        if (holePoints.length > 0) {
-          edgePoints.push({ x: holePoints[0].x * scale, y: holePoints[0].y * scale, isGap: false, isHole: true });
-        }
-      });
-    }
-  });
-  
-  return edgePoints;
-}
-
-/**
- * Build a spatial grid index for UV triangles for fast lookup
- */
-function buildUVGrid(meshRef, gridSize = 32) {
-  const grid = {};
-  const triangleData = [];
-  
-  meshRef.current.traverse((child) => {
-    if (!child.isMesh) return;
-    
-    const geometry = child.geometry;
-    const meshPosAttr = geometry.attributes.position;
-    const meshUVAttr = geometry.attributes.uv;
-    const meshNormalAttr = geometry.attributes.normal;
-
-    if (!meshPosAttr || !meshUVAttr) return;
-
-    const worldMatrix = child.matrixWorld;
-    const normalMatrix = new THREE.Matrix3().getNormalMatrix(worldMatrix);
-    const triCount = meshPosAttr.count / 3;
-
-    for (let t = 0; t < triCount; t++) {
-      const i0 = t * 3, i1 = t * 3 + 1, i2 = t * 3 + 2;
-
-      const u0 = meshUVAttr.getX(i0), v0 = meshUVAttr.getY(i0);
-      const u1 = meshUVAttr.getX(i1), v1 = meshUVAttr.getY(i1);
-      const u2 = meshUVAttr.getX(i2), v2 = meshUVAttr.getY(i2);
-
-      // Store triangle data
-      const triIdx = triangleData.length;
-      triangleData.push({
-        uv: [u0, v0, u1, v1, u2, v2],
-        pos: [
-          meshPosAttr.getX(i0), meshPosAttr.getY(i0), meshPosAttr.getZ(i0),
-          meshPosAttr.getX(i1), meshPosAttr.getY(i1), meshPosAttr.getZ(i1),
-          meshPosAttr.getX(i2), meshPosAttr.getY(i2), meshPosAttr.getZ(i2)
-        ],
-        normal: meshNormalAttr ? [
-          meshNormalAttr.getX(i0), meshNormalAttr.getY(i0), meshNormalAttr.getZ(i0),
-          meshNormalAttr.getX(i1), meshNormalAttr.getY(i1), meshNormalAttr.getZ(i1),
-          meshNormalAttr.getX(i2), meshNormalAttr.getY(i2), meshNormalAttr.getZ(i2)
-        ] : null,
-        worldMatrix,
-        normalMatrix
-      });
-
-      // Calculate UV bounding box
-      const minU = Math.min(u0, u1, u2);
-      const maxU = Math.max(u0, u1, u2);
-      const minV = Math.min(v0, v1, v2);
-      const maxV = Math.max(v0, v1, v2);
-
-      // Add to grid cells that this triangle overlaps
-      const cellMinX = Math.floor(minU * gridSize);
-      const cellMaxX = Math.floor(maxU * gridSize);
-      const cellMinY = Math.floor(minV * gridSize);
-      const cellMaxY = Math.floor(maxV * gridSize);
-
-      for (let cx = cellMinX; cx <= cellMaxX; cx++) {
-        for (let cy = cellMinY; cy <= cellMaxY; cy++) {
-          const key = `${cx},${cy}`;
-          if (!grid[key]) grid[key] = [];
-          grid[key].push(triIdx);
-        }
-      }
-    }
-  });
-
-  return { grid, triangleData, gridSize };
-}
-
-/**
- * Map UV vertices to 3D mesh positions and normals using pre-built spatial grid
- */
-function mapUVVerticesToMeshFast(uvVertices, uvGridData) {
-  const vertices3D = new Array(uvVertices.length).fill(null);
-  const normals3D = new Array(uvVertices.length).fill(null);
-
-  if (!uvGridData) return { vertices3D, normals3D };
-
-  const { grid, triangleData, gridSize } = uvGridData;
-
-  uvVertices.forEach((uvPoint, idx) => {
-    if (uvPoint.isGap) return;
-
-    // Find grid cell for this UV point
-    const cellX = Math.floor(uvPoint.u * gridSize);
-    const cellY = Math.floor(uvPoint.v * gridSize);
-    const key = `${cellX},${cellY}`;
-    
-    // Get candidate triangles from grid
-    const candidates = grid[key] || [];
-    
-    for (const triIdx of candidates) {
-      const tri = triangleData[triIdx];
-      const [u0, v0, u1, v1, u2, v2] = tri.uv;
-
-      const bary = computeBarycentricFast(uvPoint.u, uvPoint.v, u0, v0, u1, v1, u2, v2);
-      
-      const tolerance = -0.01;
-      if (bary && bary.a >= tolerance && bary.b >= tolerance && bary.c >= tolerance) {
-        const [px0, py0, pz0, px1, py1, pz1, px2, py2, pz2] = tri.pos;
-        
-        const px = px0 * bary.a + px1 * bary.b + px2 * bary.c;
-        const py = py0 * bary.a + py1 * bary.b + py2 * bary.c;
-        const pz = pz0 * bary.a + pz1 * bary.b + pz2 * bary.c;
-
-        const pos3D = new THREE.Vector3(px, py, pz);
-        pos3D.applyMatrix4(tri.worldMatrix);
-        vertices3D[idx] = pos3D;
-
-        if (tri.normal) {
-          const [nx0, ny0, nz0, nx1, ny1, nz1, nx2, ny2, nz2] = tri.normal;
-          const nx = nx0 * bary.a + nx1 * bary.b + nx2 * bary.c;
-          const ny = ny0 * bary.a + ny1 * bary.b + ny2 * bary.c;
-          const nz = nz0 * bary.a + nz1 * bary.b + nz2 * bary.c;
-          
-          const normal = new THREE.Vector3(nx, ny, nz);
-          normal.applyMatrix3(tri.normalMatrix).normalize();
-          normals3D[idx] = normal;
-        }
-        break;
-      }
-    }
-  });
-
-  return { vertices3D, normals3D };
-}
-
-function computeBarycentricFast(px, py, ax, ay, bx, by, cx, cy) {
-  const v0x = bx - ax, v0y = by - ay;
-  const v1x = cx - ax, v1y = cy - ay;
-  const v2x = px - ax, v2y = py - ay;
-
-  const dot00 = v0x * v0x + v0y * v0y;
-  const dot01 = v0x * v1x + v0y * v1y;
-  const dot02 = v0x * v2x + v0y * v2y;
-  const dot11 = v1x * v1x + v1y * v1y;
-  const dot12 = v1x * v2x + v1y * v2y;
-
-  const denom = dot00 * dot11 - dot01 * dot01;
-  const maxDot = Math.max(dot00, dot11);
-  if (Math.abs(denom) < maxDot * 1e-10 || maxDot < 1e-20) return null;
-
-  const invDenom = 1 / denom;
-  const u = (dot11 * dot02 - dot01 * dot12) * invDenom;
-  const v = (dot00 * dot12 - dot01 * dot02) * invDenom;
-
-  return { a: 1 - u - v, b: u, c: v };
-}
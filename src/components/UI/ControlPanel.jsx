@@ -1,27 +1,200 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { MAX_LINES, getLetterPairs, findMissingGlyphs } from '../../utils/textLayout';
+import { calculatePrice, countCharacters, BASE_PRICE } from '../../utils/pricing';
+import { CUSTOM_FONT_EXTENSIONS } from '../../utils/fontConverter';
+import { BUILT_IN_FONTS, MAX_FONT_SIZE, findFont, getLoadedFont, getMinFontSize, scaleToFontSize, fontSizeToScale } from '../../utils/fontRegistry';
 
-// Available fonts (Three.js built-in + Google Fonts via @compai)
-// minSize: minimum font size (1-5), where 1=0.015, 5=0.035
-const AVAILABLE_FONTS = [
-  // Three.js built-in fonts
-  { id: 'helvetiker', name: 'Helvetica', minSize: 1 },
-  { id: 'optimer', name: 'Optimer', minSize: 4 },
-  { id: 'gentilis', name: 'Gentilis', minSize: 4 },
-  // Google Fonts via @compai
-  { id: 'roboto', name: 'Roboto', minSize: 1 },
-  { id: 'open-sans', name: 'Open Sans', minSize: 1 },
-  { id: 'merriweather', name: 'Merriweather', minSize: 2 }
+// Options for the segmented toggles on each inscription card
+const TYPE_OPTIONS = [
+  { id: 'text', label: 'Text' },
+  { id: 'svg', label: 'Logo (SVG)' }
+];
+const STYLE_OPTIONS = [
+  { id: 'engrave', label: 'Engrave' },
+  { id: 'emboss', label: 'Emboss' }
+];
+const ALIGN_OPTIONS = [
+  { id: 'left', label: 'Left' },
+  { id: 'center', label: 'Center' },
+  { id: 'right', label: 'Right' }
+];
+const LAYOUT_OPTIONS = [
+  { id: 'straight', label: 'Straight' },
+  { id: 'arc', label: 'Arc' }
+];
+const ARC_DIRECTION_OPTIONS = [
+  { id: 'convex', label: 'Convex ⌒' },
+  { id: 'concave', label: 'Concave ⌣' }
 ];
 
-// Helper to convert scale to font size (1-5)
-const scaleToFontSize = (scale) => Math.round((scale - 0.015) / 0.005) + 1;
-// Helper to convert font size (1-5) to scale
-const fontSizeToScale = (size) => 0.015 + (size - 1) * 0.005;
+/**
+ * SegmentedToggle - Row of buttons where exactly one option is active
+ */
+function SegmentedToggle({ options, value, onChange }) {
+  return (
+    <div className="segmented-toggle">
+      {options.map(option => (
+        <button
+          key={option.id}
+          onClick={(e) => {
+            e.stopPropagation();
+            if (value !== option.id) {
+              onChange(option.id);
+            }
+          }}
+          className={`segmented-toggle__option ${value === option.id ? 'segmented-toggle__option--active' : ''}`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
 
 /**
- * TextInput - Input that only updates parent on blur or Enter
+ * FileUploadButton - Button that opens a hidden file picker
  */
-function DeferredTextInput({ value, onChange, ...props }) {
+function FileUploadButton({ accept, title, onFile, children }) {
+  const inputRef = useRef(null);
+
+  return (
+    <>
+      <input
+        type="file"
+        accept={accept}
+        ref={inputRef}
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          onFile(e.target.files[0]);
+          // Allow re-selecting the same file after editing it
+          e.target.value = '';
+        }}
+      />
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          inputRef.current?.click();
+        }}
+        className="btn btn--secondary"
+        title={title}
+      >
+        {children}
+      </button>
+    </>
+  );
+}
+
+/**
+ * SvgUploadField - File picker for an SVG logo inscription
+ */
+function SvgUploadField({ svgName, onLoad }) {
+  return (
+    <div style={{ marginBottom: '8px' }}>
+      <FileUploadButton
+        accept=".svg,image/svg+xml"
+        title="Upload an SVG logo (filled paths are carved)"
+        onFile={onLoad}
+      >
+        🖼️ {svgName ? 'Replace SVG' : 'Upload SVG'}
+      </FileUploadButton>
+      <div className="form-field__hint">
+        {svgName ? svgName : 'No logo uploaded yet'} · only filled paths are carved
+      </div>
+    </div>
+  );
+}
+
+/**
+ * KerningControl - Manual spacing for individual letter pairs in the text
+ * Adjusted pairs are listed with their value; pick a pair to edit it.
+ */
+function KerningControl({ text, kerning, onChange }) {
+  const pairs = getLetterPairs(text);
+  const [selectedPair, setSelectedPair] = useState('');
+  const activePair = pairs.includes(selectedPair) ? selectedPair : pairs[0];
+  const adjustedPairs = Object.keys(kerning).filter(pair => pairs.includes(pair));
+
+  if (!activePair) return null;
+
+  const value = kerning[activePair] || 0;
+
+  const setPairValue = (pair, newValue) => {
+    const next = { ...kerning };
+    if (newValue === 0) {
+      delete next[pair];
+    } else {
+      next[pair] = newValue;
+    }
+    onChange(next);
+  };
+
+  return (
+    <div className="form-field">
+      <label className="form-field__label">
+        <span>Kerning</span>
+        <span>{value.toFixed(2)}</span>
+      </label>
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '4px' }}>
+        <select
+          value={activePair}
+          onChange={(e) => setSelectedPair(e.target.value)}
+          onClick={(e) => e.stopPropagation()}
+          className="card-select"
+        >
+          {pairs.map(pair => (
+            <option key={pair} value={pair}>
+              {pair}{kerning[pair] ? ` (${kerning[pair].toFixed(2)})` : ''}
+            </option>
+          ))}
+        </select>
+        {adjustedPairs.length > 0 && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onChange({});
+            }}
+            className="kerning-reset-btn"
+            title="Reset all pairs"
+          >
+            Reset
+          </button>
+        )}
+      </div>
+      <input
+        type="range"
+        min="-0.3"
+        max="0.3"
+        step="0.01"
+        value={value}
+        onChange={(e) => setPairValue(activePair, parseFloat(e.target.value))}
+        onClick={(e) => e.stopPropagation()}
+        className="slider"
+      />
+    </div>
+  );
+}
+
+/**
+ * MissingGlyphPreview - Echo of the text with characters the font can't draw highlighted
+ */
+function MissingGlyphPreview({ text, missing }) {
+  return (
+    <div className="glyph-preview">
+      {Array.from(text).map((char, index) => (
+        missing.includes(char)
+          ? <mark key={index} className="glyph-preview__missing">{char}</mark>
+          : <span key={index}>{char}</span>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * TextInput - Multi-line input that only updates parent on blur or Enter
+ * Shift+Enter starts a new line (up to maxLines lines of maxLineLength characters)
+ * findMissing(text) returns characters the font can't draw, checked while typing
+ */
+function DeferredTextInput({ value, onChange, maxLines = 1, maxLineLength = 30, findMissing, ...props }) {
   const [localValue, setLocalValue] = useState(value);
   const [isFocused, setIsFocused] = useState(false);
   const inputRef = useRef(null);
@@ -32,6 +205,8 @@ function DeferredTextInput({ value, onChange, ...props }) {
   }, [value]);
   
   const hasChanges = localValue !== value;
+  const lineCount = localValue.split('\n').length;
+  const missing = findMissing ? findMissing(localValue) : [];
   
   const handleConfirm = () => {
     if (hasChanges) {
@@ -53,42 +228,129 @@ function DeferredTextInput({ value, onChange, ...props }) {
   };
   
   const handleKeyDown = (e) => {
-    if (e.key === 'Enter') {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
       handleConfirm();
     }
   };
   
+  const handleChange = (e) => {
+    const lines = e.target.value.split('\n');
+    // Ignore edits that exceed the line limits
+    if (lines.length > maxLines || lines.some(line => line.length > maxLineLength)) {
+      return;
+    }
+    setLocalValue(e.target.value);
+  };
+  
   return (
-    <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
-      <input
-        {...props}
-        ref={inputRef}
-        value={localValue}
-        onChange={(e) => setLocalValue(e.target.value)}
-        onFocus={() => setIsFocused(true)}
-        onBlur={handleBlur}
-        onKeyDown={handleKeyDown}
-        style={{ flex: 1 }}
-      />
-      {(isFocused || hasChanges) && (
-        <button
-          className="text-confirm-btn"
-          onClick={handleConfirm}
-          title="Confirm text"
-          style={{
-            padding: '4px 8px',
-            background: hasChanges ? '#000' : '#ccc',
-            color: '#fff',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer',
-            fontSize: '14px',
-            fontWeight: 'bold',
-            minWidth: '28px'
-          }}
-        >
-          ✓
-        </button>
+    <>
+      <div style={{ display: 'flex', gap: '4px', alignItems: 'flex-start' }}>
+        <textarea
+          {...props}
+          ref={inputRef}
+          value={localValue}
+          rows={lineCount}
+          onChange={handleChange}
+          onFocus={() => setIsFocused(true)}
+          onBlur={handleBlur}
+          onKeyDown={handleKeyDown}
+          style={{ flex: 1 }}
+        />
+        {(isFocused || hasChanges) && (
+          <button
+            className="text-confirm-btn"
+            onClick={handleConfirm}
+            title="Confirm text"
+            style={{
+              padding: '4px 8px',
+              background: hasChanges ? '#000' : '#ccc',
+              color: '#fff',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '14px',
+              fontWeight: 'bold',
+              minWidth: '28px'
+            }}
+          >
+            ✓
+          </button>
+        )}
+      </div>
+      {missing.length > 0 && <MissingGlyphPreview text={localValue} missing={missing} />}
+    </>
+  );
+}
+
+/**
+ * SavedDesigns - Save the current design under a name and switch between saved designs
+ * Designs are kept in the browser (IndexedDB); saving with an existing name replaces it.
+ */
+function SavedDesigns({ slots, onSave, onLoad, onDelete }) {
+  const [collapsed, setCollapsed] = useState(true);
+  const [name, setName] = useState('');
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (slots.some(slot => slot.name === trimmed) && !window.confirm(`Replace the saved design "${trimmed}"?`)) return;
+    onSave(trimmed);
+    setName('');
+  };
+
+  return (
+    <div className={`collapsible ${collapsed ? 'collapsible--collapsed' : ''}`}>
+      <div
+        className="collapsible__header"
+        onClick={() => setCollapsed(!collapsed)}
+      >
+        <span>Saved Designs{slots.length > 0 ? ` (${slots.length})` : ''}</span>
+        <span className="collapsible__icon">{collapsed ? '+' : '−'}</span>
+      </div>
+      {!collapsed && (
+        <div className="collapsible__content">
+          <div className="saved-designs__save">
+            <input
+              type="text"
+              placeholder="Design name"
+              value={name}
+              maxLength={40}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+              className="card-input"
+            />
+            <button
+              className="small-btn"
+              onClick={handleSave}
+              disabled={!name.trim()}
+            >
+              Save
+            </button>
+          </div>
+          {slots.length === 0 ? (
+            <p>No saved designs yet</p>
+          ) : (
+            slots.map(slot => (
+              <div key={slot.id} className="saved-designs__slot">
+                <div className="saved-designs__info">
+                  <span className="saved-designs__name">{slot.name}</span>
+                  <span className="saved-designs__date">{new Date(slot.savedAt).toLocaleString()}</span>
+                </div>
+                <button className="small-btn" onClick={() => onLoad(slot.id)}>
+                  Load
+                </button>
+                <button
+                  className="small-btn"
+                  onClick={() => { if (window.confirm(`Delete the saved design "${slot.name}"?`)) onDelete(slot.id); }}
+                  title="Delete saved design"
+                >
+                  ×
+                </button>
+              </div>
+            ))
+          )}
+        </div>
       )}
     </div>
   );
@@ -108,6 +370,7 @@ export default function ControlPanel({
   onReset,
   isCarved,
   uvWarnings = {},
+  glyphWarnings = {},
   showMarker,
   setShowMarker,
   showArrows,
@@ -121,8 +384,24 @@ export default function ControlPanel({
   maxTriangleEdge,
   setMaxTriangleEdge,
   onDownloadSTL,
+  onDownload3MF,
+  onDownloadOBJ,
+  onDownloadGLB,
+  onDownloadUSDZ,
+  onViewInAR,
   onDownloadJSON,
   onLoadJSON,
+  onLoadSVG,
+  customFonts = [],
+  onUploadFont,
+  restoreOffer = null,
+  onRestoreAutosave,
+  onDismissRestore,
+  savedSlots = [],
+  onSaveSlot,
+  onLoadSlot,
+  onDeleteSlot,
+  onCopyShareLink,
   email,
   setEmail,
   onOrder,
@@ -131,6 +410,20 @@ export default function ControlPanel({
 }) {
   const [settingsCollapsed, setSettingsCollapsed] = useState(true);
   const fileInputRef = useRef(null);
+  const fontOptions = [...BUILT_IN_FONTS, ...customFonts];
+  
+  // Characters an inscription's fonts can't draw; uses the last full check until its fonts have loaded
+  const findMissingChars = (inscription, text) => {
+    const font = getLoadedFont(findFont(fontOptions, inscription.font));
+    const fallbackFont = inscription.fallbackFont
+      ? getLoadedFont(findFont(fontOptions, inscription.fallbackFont))
+      : null;
+    if (!font || (inscription.fallbackFont && !fallbackFont)) {
+      return glyphWarnings[inscription.id] || [];
+    }
+    return findMissingGlyphs(font, text, fallbackFont);
+  };
+  const hasMissingGlyphs = Object.keys(glyphWarnings).length > 0;
   const hasPlacedInscriptions = inscriptions.some(i => i.clickData);
   
   // Check if any inscription has out of bounds warning
@@ -145,6 +438,17 @@ export default function ControlPanel({
 
       {/* Scrollable Content Area */}
       <div className="control-panel-scroll">
+        {/* Offer to restore last visit's autosaved design */}
+        {restoreOffer && (
+          <div className="info-box restore-offer">
+            <p>💾 Continue your design from {new Date(restoreOffer.savedAt).toLocaleString()}?</p>
+            <div className="restore-offer__actions">
+              <button className="small-btn" onClick={onRestoreAutosave}>Restore</button>
+              <button className="small-btn" onClick={onDismissRestore}>Start fresh</button>
+            </div>
+          </div>
+        )}
+
         {/* Inscription Cards Section */}
         <div>
           <p className="section-title"><b>Botai</b> Inscriptions</p>
@@ -173,34 +477,144 @@ export default function ControlPanel({
                 )}
               </div>
               
-              {/* Text Input */}
-              <div style={{ marginBottom: '8px' }}>
-                <DeferredTextInput
-                  type="text"
-                  value={inscription.text}
-                  onChange={(newText) => updateInscription(inscription.id, { text: newText })}
-                  onClick={(e) => e.stopPropagation()}
-                  placeholder="Enter text"
-                  maxLength="30"
-                  className="card-input"
+              {/* Inscription type (text or SVG logo) */}
+              <div className="form-field">
+                <label className="form-field__label form-field__label--block">Type</label>
+                <SegmentedToggle
+                  options={TYPE_OPTIONS}
+                  value={inscription.type}
+                  onChange={(type) => updateInscription(inscription.id, { type })}
+                />
+              </div>
+              
+              {/* Logo upload (svg inscriptions) or text settings */}
+              {inscription.type === 'svg' ? (
+                <SvgUploadField
+                  svgName={inscription.svgName}
+                  onLoad={(file) => onLoadSVG(inscription.id, file)}
+                />
+              ) : (
+                <>
+                  {/* Text Input */}
+                  <div style={{ marginBottom: '8px' }}>
+                    <DeferredTextInput
+                      value={inscription.text}
+                      onChange={(newText) => updateInscription(inscription.id, { text: newText })}
+                      onClick={(e) => e.stopPropagation()}
+                      placeholder="Enter text"
+                      maxLines={MAX_LINES}
+                      maxLineLength={30}
+                      findMissing={(text) => findMissingChars(inscription, text)}
+                      className="card-input card-input--multiline"
+                    />
+                    <div className="form-field__hint">Shift+Enter for a new line (up to {MAX_LINES} lines)</div>
+                  </div>
+                  
+                  {/* Missing characters + fallback font */}
+                  {(glyphWarnings[inscription.id] || inscription.fallbackFont) && (
+                    <div className="form-field">
+                      {glyphWarnings[inscription.id] && (
+                        <div className="info-box info-box--warning" style={{ marginBottom: '6px' }}>
+                          <p>⚠️ {findFont(fontOptions, inscription.font).name} can't draw: {glyphWarnings[inscription.id].join(' ')}. Remove them or pick a fallback font - orders are blocked until then.</p>
+                        </div>
+                      )}
+                      <label className="form-field__label form-field__label--block">Fallback Font</label>
+                      <select
+                        value={inscription.fallbackFont || ''}
+                        onChange={(e) => updateInscription(inscription.id, { fallbackFont: e.target.value || null })}
+                        onClick={(e) => e.stopPropagation()}
+                        className="card-select"
+                      >
+                        <option value="">None</option>
+                        {fontOptions.filter(f => f.id !== inscription.font).map(f => (
+                          <option key={f.id} value={f.id}>{f.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+              
+                  {/* Alignment around the click point */}
+                  <div className="form-field">
+                    <label className="form-field__label form-field__label--block">Align</label>
+                    <SegmentedToggle
+                      options={ALIGN_OPTIONS}
+                      value={inscription.align}
+                      onChange={(align) => updateInscription(inscription.id, { align })}
+                    />
+                  </div>
+              
+                  {/* Line Spacing (multi-line text only) */}
+                  {inscription.text.includes('\n') && (
+                    <div className="form-field">
+                      <label className="form-field__label">
+                        <span>Line Spacing</span>
+                        <span>{inscription.lineHeight.toFixed(2)}</span>
+                      </label>
+                      <input
+                        type="range"
+                        min="0.5"
+                        max="2"
+                        step="0.05"
+                        value={inscription.lineHeight}
+                        onChange={(e) => updateInscription(inscription.id, { lineHeight: parseFloat(e.target.value) })}
+                        onClick={(e) => e.stopPropagation()}
+                        className="slider"
+                      />
+                    </div>
+                  )}
+              
+                  {/* Letter Spacing */}
+                  <div className="form-field">
+                    <label className="form-field__label">
+                      <span>Letter Spacing</span>
+                      <span>{inscription.letterSpacing.toFixed(2)}</span>
+                    </label>
+                    <input
+                      type="range"
+                      min="-0.1"
+                      max="0.5"
+                      step="0.01"
+                      value={inscription.letterSpacing}
+                      onChange={(e) => updateInscription(inscription.id, { letterSpacing: parseFloat(e.target.value) })}
+                      onClick={(e) => e.stopPropagation()}
+                      className="slider"
+                    />
+                  </div>
+              
+                  {/* Kerning for individual letter pairs */}
+                  <KerningControl
+                    text={inscription.text}
+                    kerning={inscription.kerning}
+                    onChange={(kerning) => updateInscription(inscription.id, { kerning })}
+                  />
+                </>
+              )}
+              
+              {/* Engrave / Emboss Toggle */}
+              <div className="form-field">
+                <label className="form-field__label form-field__label--block">Style</label>
+                <SegmentedToggle
+                  options={STYLE_OPTIONS}
+                  value={inscription.mode}
+                  onChange={(mode) => updateInscription(inscription.id, { mode })}
                 />
               </div>
               
-              {/* Font Size Slider */}
+              {/* Font Size Slider (logo size for svg inscriptions) */}
               {(() => {
-                const fontConfig = AVAILABLE_FONTS.find(f => f.id === inscription.font) || AVAILABLE_FONTS[0];
-                const minSize = fontConfig.minSize || 1;
+                const isSvg = inscription.type === 'svg';
+                const minSize = getMinFontSize(inscription, fontOptions);
                 const currentSize = scaleToFontSize(inscription.scale);
                 return (
                   <div className="form-field">
                     <label className="form-field__label">
-                      <span>Font Size</span>
+                      <span>{isSvg ? 'Logo Size' : 'Font Size'}</span>
                       <span>{currentSize}</span>
                     </label>
                     <input
                       type="range"
                       min={minSize}
-                      max="5"
+                      max={MAX_FONT_SIZE}
                       step="1"
                       value={Math.max(currentSize, minSize)}
                       onChange={(e) => updateInscription(inscription.id, { scale: fontSizeToScale(parseInt(e.target.value)) })}
@@ -214,10 +628,10 @@ export default function ControlPanel({
                 );
               })()}
               
-              {/* Depth Slider */}
+              {/* Depth Slider (raised height when embossed) */}
               <div className="form-field">
                 <label className="form-field__label">
-                  <span>Depth</span>
+                  <span>{inscription.mode === 'emboss' ? 'Height' : 'Depth'}</span>
                   <span>{inscription.depth.toFixed(1)}</span>
                 </label>
                 <input
@@ -250,31 +664,108 @@ export default function ControlPanel({
                 />
               </div>
               
-              {/* Font Selection */}
-              <div className="form-field">
-                <label className="form-field__label form-field__label--block">Font</label>
-                <select
-                  value={inscription.font}
-                  onChange={(e) => {
-                    const newFont = e.target.value;
-                    const fontConfig = AVAILABLE_FONTS.find(f => f.id === newFont);
-                    const minSize = fontConfig?.minSize || 1;
-                    const currentSize = scaleToFontSize(inscription.scale);
-                    // Auto-adjust scale if below minimum for new font
-                    if (currentSize < minSize) {
-                      updateInscription(inscription.id, { font: newFont, scale: fontSizeToScale(minSize) });
-                    } else {
-                      updateInscription(inscription.id, { font: newFont });
-                    }
-                  }}
-                  onClick={(e) => e.stopPropagation()}
-                  className="card-select"
-                >
-                  {AVAILABLE_FONTS.map(f => (
-                    <option key={f.id} value={f.id}>{f.name}</option>
-                  ))}
-                </select>
-              </div>
+              {/* Text-only settings */}
+              {inscription.type !== 'svg' && (
+                <>
+                  {/* Layout (straight baseline or arc) */}
+                  <div className="form-field">
+                    <label className="form-field__label form-field__label--block">Layout</label>
+                    <SegmentedToggle
+                      options={LAYOUT_OPTIONS}
+                      value={inscription.layout}
+                      onChange={(layout) => updateInscription(inscription.id, { layout })}
+                    />
+                  </div>
+              
+                  {/* Arc Settings */}
+                  {inscription.layout === 'arc' && (
+                    <>
+                      <div className="form-field">
+                        <label className="form-field__label">
+                          <span>Arc Radius</span>
+                          <span>{inscription.arcRadius.toFixed(1)}</span>
+                        </label>
+                        <input
+                          type="range"
+                          min="1.5"
+                          max="20"
+                          step="0.5"
+                          value={inscription.arcRadius}
+                          onChange={(e) => updateInscription(inscription.id, { arcRadius: parseFloat(e.target.value) })}
+                          onClick={(e) => e.stopPropagation()}
+                          className="slider"
+                        />
+                      </div>
+                      <div className="form-field">
+                        <label className="form-field__label">
+                          <span>Arc Start Angle</span>
+                          <span>{inscription.arcStartAngle}°</span>
+                        </label>
+                        <input
+                          type="range"
+                          min="-180"
+                          max="180"
+                          step="1"
+                          value={inscription.arcStartAngle}
+                          onChange={(e) => updateInscription(inscription.id, { arcStartAngle: parseFloat(e.target.value) })}
+                          onClick={(e) => e.stopPropagation()}
+                          className="slider"
+                        />
+                      </div>
+                      <div className="form-field">
+                        <label className="form-field__label form-field__label--block">Arc Direction</label>
+                        <SegmentedToggle
+                          options={ARC_DIRECTION_OPTIONS}
+                          value={inscription.arcDirection}
+                          onChange={(arcDirection) => updateInscription(inscription.id, { arcDirection })}
+                        />
+                      </div>
+                    </>
+                  )}
+              
+                  {/* Font Selection */}
+                  <div className="form-field">
+                    <label className="form-field__label form-field__label--block">Font</label>
+                    <select
+                      value={inscription.font}
+                      onChange={(e) => {
+                        const newFont = e.target.value;
+                        const fontConfig = fontOptions.find(f => f.id === newFont);
+                        const minSize = fontConfig?.minSize || 1;
+                        const currentSize = scaleToFontSize(inscription.scale);
+                        // Auto-adjust scale if below minimum for new font
+                        if (currentSize < minSize) {
+                          updateInscription(inscription.id, { font: newFont, scale: fontSizeToScale(minSize) });
+                        } else {
+                          updateInscription(inscription.id, { font: newFont });
+                        }
+                      }}
+                      onClick={(e) => e.stopPropagation()}
+                      className="card-select"
+                    >
+                      {BUILT_IN_FONTS.map(f => (
+                        <option key={f.id} value={f.id}>{f.name}</option>
+                      ))}
+                      {customFonts.length > 0 && (
+                        <optgroup label="Uploaded">
+                          {customFonts.map(f => (
+                            <option key={f.id} value={f.id}>{f.name}</option>
+                          ))}
+                        </optgroup>
+                      )}
+                    </select>
+                    <div style={{ marginTop: '4px' }}>
+                      <FileUploadButton
+                        accept={CUSTOM_FONT_EXTENSIONS.join(',')}
+                        title="Upload a TTF, OTF or WOFF font for this inscription"
+                        onFile={(file) => onUploadFont(inscription.id, file)}
+                      >
+                        🔤 Upload Font
+                      </FileUploadButton>
+                    </div>
+                  </div>
+                </>
+              )}
               
               {/* Position Info (if placed) - only in dev mode */}
               {devMode && inscription.clickData && (
@@ -307,7 +798,7 @@ export default function ControlPanel({
       <div style={{ marginTop: '16px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
         <button
           onClick={onApplyInscriptions}
-          disabled={!hasPlacedInscriptions || isCarved || hasAnyWarning}
+          disabled={!hasPlacedInscriptions || isCarved || hasAnyWarning || hasMissingGlyphs}
           className="btn btn--primary inscribe-btn"
         >
           Inscribe
@@ -317,6 +808,22 @@ export default function ControlPanel({
           ↺ Reset
         </button>
         
+        <button
+          onClick={onCopyShareLink}
+          className="btn btn--secondary"
+          title="Copy a link that opens this design"
+        >
+          🔗 Copy Share Link
+        </button>
+        
+        <button
+          onClick={onViewInAR}
+          className="btn btn--secondary"
+          title="See the bowtie in AR (iPhone/iPad), or download it as a 3D model"
+        >
+          📱 View in AR
+        </button>
+        
         {devMode && (
           <>
             <button 
@@ -326,6 +833,34 @@ export default function ControlPanel({
             >
               📥 Download STL
             </button>
+            <button 
+              onClick={onDownload3MF} 
+              className="btn btn--secondary"
+              title="Download the current model as 3MF with order details"
+            >
+              📦 Download 3MF
+            </button>
+            <button 
+              onClick={onDownloadOBJ} 
+              className="btn btn--secondary"
+              title="Download the UV model, inscription tools and clip as OBJ + MTL (zip) for Blender"
+            >
+              🎨 Download OBJ
+            </button>
+            <button 
+              onClick={onDownloadGLB} 
+              className="btn btn--secondary"
+              title="Download the bowtie as shown (with clip and text previews) as GLB"
+            >
+              🧊 Download GLB
+            </button>
+            <button 
+              onClick={onDownloadUSDZ} 
+              className="btn btn--secondary"
+              title="Download the bowtie as shown (with clip and text previews) as USDZ"
+            >
+              🍏 Download USDZ
+            </button>
             <button 
               onClick={onDownloadJSON} 
               className="btn btn--secondary"
@@ -351,6 +886,14 @@ export default function ControlPanel({
         )}
       </div>
 
+      {/* Designs saved in this browser */}
+      <SavedDesigns
+        slots={savedSlots}
+        onSave={onSaveSlot}
+        onLoad={onLoadSlot}
+        onDelete={onDeleteSlot}
+      />
+
       {/* Display Settings - only in dev mode */}
       {devMode && (
         <div className={`collapsible ${settingsCollapsed ? 'collapsible--collapsed' : ''}`}>
@@ -450,15 +993,16 @@ export default function ControlPanel({
 
         {/* Price Display */}
         <div className="price-display">
-          <h2>${88 + inscriptions.reduce((sum, i) => sum + (i.text?.length || 0), 0)}</h2>
-          <p className="price-note">$88 base + $1 per character ({inscriptions.reduce((sum, i) => sum + (i.text?.length || 0), 0)} chars)</p>
+          <h2>${calculatePrice(inscriptions)}</h2>
+          <p className="price-note">${BASE_PRICE} base + $1 per character ({countCharacters(inscriptions)} chars)</p>
         </div>
 
         {/* Order Button */}
         <button
           className="order-button"
           onClick={onOrder}
-          disabled={isOrdering || !email}
+          disabled={isOrdering || !email || hasMissingGlyphs}
+          title={hasMissingGlyphs ? 'Some characters cannot be drawn by the selected font' : undefined}
         >
           {isOrdering ? 'Processing...' : 'Order Now'}
         </button>
@@ -481,15 +1025,16 @@ export default function ControlPanel({
 
         {/* Price Display */}
         <div className="price-display">
-          <h2>${88 + inscriptions.reduce((sum, i) => sum + (i.text?.length || 0), 0)}</h2>
-          <p className="price-note">$88 base + $1 per character ({inscriptions.reduce((sum, i) => sum + (i.text?.length || 0), 0)} chars)</p>
+          <h2>${calculatePrice(inscriptions)}</h2>
+          <p className="price-note">${BASE_PRICE} base + $1 per character ({countCharacters(inscriptions)} chars)</p>
         </div>
 
         {/* Order Button */}
         <button
           className="order-button"
           onClick={onOrder}
-          disabled={isOrdering || !email}
+          disabled={isOrdering || !email || hasMissingGlyphs}
+          title={hasMissingGlyphs ? 'Some characters cannot be drawn by the selected font' : undefined}
         >
           {isOrdering ? 'Processing...' : 'Order Now'}
         </button>
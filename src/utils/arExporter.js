@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { USDZExporter } from 'three/examples/jsm/exporters/USDZExporter.js';
+import { getUnitScale } from './stlExporter.js';
+
+/**
+ * AR export - the personalized bowtie as GLB (Android / web viewers) and USDZ (iOS Quick Look)
+ *
+ * Both formats are in metres, so parts are scaled from model units via millimetres and
+ * the bowtie is lifted to stand on the floor plane AR places it on.
+ * USDZ only supports single-sided MeshStandardMaterial; materials are cloned as front-sided.
+ */
+
+// Same look as the text preview meshes (UVTextMapper)
+const TEXT_MATERIAL = { color: 0xffffff, metalness: 0, roughness: 1 };
+
+// Helper: Save data as a file
+function downloadFile(data, filename, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Build the scene to export
+ *
+ * @param {Array<{ name: string, geometry: THREE.BufferGeometry, material?: THREE.Material }>} parts -
+ *   Meshes in world space (bowtie, clip, inscription previews); parts without a material use the text look
+ * @param {Object} options
+ * @param {number} options.unitScale - Millimetres per model unit
+ * @returns {THREE.Scene} Scene in metres, Y up, resting on y = 0
+ */
+export function buildARScene(parts, { unitScale = getUnitScale() } = {}) {
+  const scene = new THREE.Scene();
+  const bowtie = new THREE.Group();
+  bowtie.name = 'Bowtie';
+
+  for (const { name, geometry, material } of parts) {
+    const partGeometry = geometry.clone();
+    if (!partGeometry.attributes.normal) {
+      partGeometry.computeVertexNormals();
+    }
+
+    const partMaterial = material
+      ? material.clone()
+      : new THREE.MeshStandardMaterial(TEXT_MATERIAL);
+    partMaterial.side = THREE.FrontSide;
+
+    const mesh = new THREE.Mesh(partGeometry, partMaterial);
+    mesh.name = name;
+    bowtie.add(mesh);
+  }
+
+  // Model units -> metres, then stand the bowtie on the floor, centered
+  bowtie.scale.setScalar(unitScale / 1000);
+  bowtie.updateMatrixWorld(true);
+  const bounds = new THREE.Box3().setFromObject(bowtie);
+  const center = bounds.getCenter(new THREE.Vector3());
+  bowtie.position.set(-center.x, -bounds.min.y, -center.z);
+
+  scene.add(bowtie);
+  scene.updateMatrixWorld(true);
+  return scene;
+}
+
+/**
+ * Export a scene as GLB
+ *
+ * @param {THREE.Object3D} scene - Scene from buildARScene
+ * @returns {Promise<ArrayBuffer>} GLB file
+ */
+export function sceneToGLB(scene) {
+  return new GLTFExporter().parseAsync(scene, { binary: true });
+}
+
+/**
+ * Export a scene as USDZ
+ *
+ * @param {THREE.Object3D} scene - Scene from buildARScene
+ * @returns {Promise<Uint8Array>} USDZ file
+ */
+export function sceneToUSDZ(scene) {
+  return new USDZExporter().parse(scene, { quickLookCompatible: true });
+}
+
+// Helper: Download a GLB file
+export function downloadGLB(glb, filename = 'model.glb') {
+  downloadFile(glb, filename, 'model/gltf-binary');
+}
+
+// Helper: Download a USDZ file
+export function downloadUSDZ(usdz, filename = 'model.usdz') {
+  downloadFile(usdz, filename, 'model/vnd.usdz+zip');
+}
+
+/**
+ * Whether the browser opens USDZ links in AR Quick Look (Safari on iPhone/iPad)
+ */
+export function supportsARQuickLook() {
+  return document.createElement('a').relList.supports('ar');
+}
+
+/**
+ * Open a USDZ file in AR Quick Look
+ * Quick Look only handles links with rel="ar" that wrap an image.
+ *
+ * @param {Uint8Array} usdz - USDZ file
+ */
+export function openARQuickLook(usdz) {
+  const url = URL.createObjectURL(new Blob([usdz], { type: 'model/vnd.usdz+zip' }));
+  const link = document.createElement('a');
+  link.rel = 'ar';
+  link.href = url;
+  link.appendChild(document.createElement('img'));
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Quick Look reads the file after the click; release it once it has had time to load
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
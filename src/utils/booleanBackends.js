@@ -0,0 +1,268 @@
+import * as THREE from 'three';
+import { SUBTRACTION, ADDITION, Brush, Evaluator } from 'three-bvh-csg';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+/**
+ * Pluggable boolean backends used by csgUtils
+ *
+ * Each backend exposes:
+ *   name                 - Identifier recorded on result geometries (userData.csgBackend)
+ *   isReady()            - Whether the backend can run synchronously right now
+ *   subtract(a, b)       - Returns a new BufferGeometry for a - b
+ *   union(a, b)          - Returns a new BufferGeometry for a + b
+ *
+ * Manifold needs its WASM module loaded first (initBooleanBackends) and throws
+ * on non-manifold input, in which case csgUtils falls back to three-bvh-csg.
+ */
+
+export const BVH_BACKEND = 'three-bvh-csg';
+export const MANIFOLD_BACKEND = 'manifold';
+
+// Manifold is the default for production carving (watertight results)
+let defaultBackendName = MANIFOLD_BACKEND;
+
+/**
+ * Prepare geometry for three-bvh-csg
+ * Ensures required attributes exist and removes problematic ones
+ */
+function prepareGeometryForBVH(geometry) {
+  const clone = geometry.clone();
+
+  // Ensure index exists
+  if (!clone.index) {
+    const posCount = clone.attributes.position.count;
+    const indices = [];
+    for (let i = 0; i < posCount; i++) {
+      indices.push(i);
+    }
+    clone.setIndex(indices);
+  }
+
+  // Ensure UV exists
+  if (!clone.attributes.uv) {
+    const count = clone.attributes.position.count;
+    const uvs = new Float32Array(count * 2);
+    clone.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  }
+
+  // Ensure normals exist
+  if (!clone.attributes.normal) {
+    clone.computeVertexNormals();
+  }
+
+  // Remove non-standard attributes that might cause issues
+  const allowedAttributes = ['position', 'normal', 'uv'];
+  const attrNames = Object.keys(clone.attributes);
+  for (const name of attrNames) {
+    if (!allowedAttributes.includes(name)) {
+      clone.deleteAttribute(name);
+    }
+  }
+
+  return clone;
+}
+
+function evaluateBVH(geometryA, geometryB, operation) {
+  const brushA = new Brush(prepareGeometryForBVH(geometryA));
+  brushA.updateMatrixWorld();
+
+  const brushB = new Brush(prepareGeometryForBVH(geometryB));
+  brushB.updateMatrixWorld();
+
+  const evaluator = new Evaluator();
+  return evaluator.evaluate(brushA, brushB, operation).geometry;
+}
+
+const bvhBackend = {
+  name: BVH_BACKEND,
+  isReady: () => true,
+  subtract: (geometryA, geometryB) => evaluateBVH(geometryA, geometryB, SUBTRACTION),
+  union: (geometryA, geometryB) => evaluateBVH(geometryA, geometryB, ADDITION)
+};
+
+// Manifold WASM module (set once initBooleanBackends resolves)
+let manifoldModule = null;
+let manifoldInitPromise = null;
+
+// Manifold vertex properties: position (3) + uv (2), so texture coordinates survive the carve
+const MANIFOLD_NUM_PROP = 5;
+
+/**
+ * Convert a BufferGeometry into a Manifold solid
+ * Positions and UVs are kept (missing UVs are zero, as for three-bvh-csg); coincident vertices are
+ * welded, and vertices split only by a UV seam are linked with merge vectors so the solid stays manifold
+ */
+function geometryToManifold(geometry) {
+  const { Manifold, Mesh } = manifoldModule;
+
+  const positions = geometry.attributes.position;
+  const weldable = new THREE.BufferGeometry();
+  weldable.setAttribute('position', positions);
+  weldable.setAttribute('uv', geometry.attributes.uv || new THREE.BufferAttribute(new Float32Array(positions.count * 2), 2));
+  if (geometry.index) {
+    weldable.setIndex(geometry.index);
+  }
+  const welded = mergeVertices(weldable, 0.0001);
+
+  const weldedPositions = welded.attributes.position;
+  const weldedUVs = welded.attributes.uv;
+  const vertProperties = new Float32Array(weldedPositions.count * MANIFOLD_NUM_PROP);
+  for (let i = 0; i < weldedPositions.count; i++) {
+    const offset = i * MANIFOLD_NUM_PROP;
+    vertProperties[offset] = weldedPositions.getX(i);
+    vertProperties[offset + 1] = weldedPositions.getY(i);
+    vertProperties[offset + 2] = weldedPositions.getZ(i);
+    vertProperties[offset + 3] = weldedUVs.getX(i);
+    vertProperties[offset + 4] = weldedUVs.getY(i);
+  }
+
+  const mesh = new Mesh({
+    numProp: MANIFOLD_NUM_PROP,
+    vertProperties,
+    triVerts: new Uint32Array(welded.index.array)
+  });
+  mesh.merge();
+  return new Manifold(mesh);
+}
+
+/**
+ * Convert a Manifold solid back into a BufferGeometry with positions and UVs
+ * Triangles are unshared so the normals are flat: the walls of carved letters stay sharp
+ */
+function manifoldToGeometry(manifold) {
+  const mesh = manifold.getMesh();
+  const positions = new Float32Array(mesh.numVert * 3);
+  const uvs = new Float32Array(mesh.numVert * 2);
+  for (let i = 0; i < mesh.numVert; i++) {
+    const offset = i * mesh.numProp;
+    positions[i * 3] = mesh.vertProperties[offset];
+    positions[i * 3 + 1] = mesh.vertProperties[offset + 1];
+    positions[i * 3 + 2] = mesh.vertProperties[offset + 2];
+    if (mesh.numProp >= MANIFOLD_NUM_PROP) {
+      uvs[i * 2] = mesh.vertProperties[offset + 3];
+      uvs[i * 2 + 1] = mesh.vertProperties[offset + 4];
+    }
+  }
+
+  const indexed = new THREE.BufferGeometry();
+  indexed.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  indexed.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  indexed.setIndex(new THREE.BufferAttribute(new Uint32Array(mesh.triVerts), 1));
+
+  const geometry = indexed.toNonIndexed();
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+function evaluateManifold(geometryA, geometryB, operation) {
+  const { Manifold } = manifoldModule;
+  const solids = [];
+  try {
+    const a = geometryToManifold(geometryA);
+    solids.push(a);
+    const b = geometryToManifold(geometryB);
+    solids.push(b);
+
+    const result = operation === 'subtract' ? Manifold.difference(a, b) : Manifold.union(a, b);
+    solids.push(result);
+    return manifoldToGeometry(result);
+  } finally {
+    // WASM objects are not garbage collected
+    solids.forEach(solid => solid.delete());
+  }
+}
+
+/**
+ * Check whether Manifold accepts a geometry as a closed solid (call initBooleanBackends first)
+ *
+ * @param {THREE.BufferGeometry} geometry - Geometry to check
+ * @returns {{ valid: boolean, volume?: number, error?: string }} Volume of the solid, or why it was rejected
+ */
+export function checkManifold(geometry) {
+  if (!manifoldModule) {
+    return { valid: false, error: 'Manifold is not loaded' };
+  }
+
+  let solid = null;
+  try {
+    solid = geometryToManifold(geometry);
+    return { valid: true, volume: solid.volume() };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  } finally {
+    solid?.delete();
+  }
+}
+
+const manifoldBackend = {
+  name: MANIFOLD_BACKEND,
+  isReady: () => manifoldModule !== null,
+  subtract: (geometryA, geometryB) => evaluateManifold(geometryA, geometryB, 'subtract'),
+  union: (geometryA, geometryB) => evaluateManifold(geometryA, geometryB, 'union')
+};
+
+const BACKENDS = {
+  [BVH_BACKEND]: bvhBackend,
+  [MANIFOLD_BACKEND]: manifoldBackend
+};
+
+/**
+ * Load the WASM module for Manifold. Safe to call repeatedly.
+ * If loading fails, carving keeps working with three-bvh-csg.
+ *
+ * @returns {Promise<boolean>} Whether Manifold is available
+ */
+export function initBooleanBackends() {
+  if (!manifoldInitPromise) {
+    manifoldInitPromise = import('manifold-3d')
+      .then(async ({ default: Module }) => {
+        console.log('🔄 Initializing Manifold WASM...');
+        const wasm = await Module();
+        // Must call setup() before using
+        wasm.setup();
+        manifoldModule = wasm;
+        console.log('✅ Manifold WASM initialized');
+        return true;
+      })
+      .catch((error) => {
+        console.warn('⚠️ Manifold unavailable, using three-bvh-csg:', error.message);
+        return false;
+      });
+  }
+  return manifoldInitPromise;
+}
+
+/**
+ * Get a backend by name
+ *
+ * @param {string} name - Backend name (defaults to the configured default)
+ * @returns {Object} The backend
+ */
+export function getBooleanBackend(name = defaultBackendName) {
+  const backend = BACKENDS[name];
+  if (!backend) {
+    throw new Error(`Unknown boolean backend: ${name}`);
+  }
+  return backend;
+}
+
+/**
+ * Change the backend used when csgUtils is called without an explicit one
+ *
+ * @param {string} name - Backend name
+ */
+export function setDefaultBooleanBackend(name) {
+  getBooleanBackend(name);
+  defaultBackendName = name;
+}
+
+/**
+ * Get the ordered list of backends to try, ending with three-bvh-csg as the fallback
+ *
+ * @param {string} name - Preferred backend name
+ * @returns {Object[]} Backends to try in order
+ */
+export function getBackendChain(name = defaultBackendName) {
+  const preferred = getBooleanBackend(name);
+  return preferred === bvhBackend ? [bvhBackend] : [preferred, bvhBackend];
+}
@@ -0,0 +1,84 @@
+import { buffersToGeometry, geometryToBuffers, getTransferables } from './geometryBuffers';
+
+/**
+ * Error used to reject a carve job that was cancelled by the user
+ */
+export class CarveCancelledError extends Error {
+  constructor() {
+    super('Carve cancelled');
+    this.name = 'CarveCancelledError';
+  }
+}
+
+/**
+ * Start a carve job in a dedicated Web Worker
+ * All geometries must already be in world space.
+ *
+ * @param {Object} options
+ * @param {THREE.BufferGeometry} options.baseGeometry - The bowtie geometry to carve
+ * @param {Array<{ label: string, geometry: THREE.BufferGeometry, operation: string }>} options.tools - Inscription geometries
+ *   to subtract ('subtract', engraved) or union ('union', embossed)
+ * @param {THREE.BufferGeometry|null} options.clipGeometry - Clip geometry to union after carving
+ * @param {boolean} options.simplify - Whether to simplify the union result
+ * @param {Function} options.onProgress - Called with { stage, step, totalSteps, label }
+ * @returns {{ promise: Promise<THREE.BufferGeometry>, cancel: Function }} The running job
+ */
+export function startCarveJob({ baseGeometry, tools, clipGeometry = null, simplify = false, onProgress }) {
+  const worker = new Worker(new URL('../workers/carveWorker.js', import.meta.url), { type: 'module' });
+
+  let rejectJob = null;
+  let finished = false;
+
+  const finish = () => {
+    finished = true;
+    worker.terminate();
+  };
+
+  const promise = new Promise((resolve, reject) => {
+    rejectJob = reject;
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        if (onProgress) onProgress(message);
+      } else if (message.type === 'done') {
+        finish();
+        resolve(buffersToGeometry(message.result));
+      } else if (message.type === 'error') {
+        finish();
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Carve worker failed'));
+    };
+  });
+
+  // Copy all inputs into transferable buffers
+  const base = geometryToBuffers(baseGeometry);
+  const toolBuffers = tools.map(({ label, geometry, operation = 'subtract' }) => ({
+    label,
+    operation,
+    buffers: geometryToBuffers(geometry)
+  }));
+  const clip = clipGeometry ? geometryToBuffers(clipGeometry) : null;
+
+  const transferables = [
+    ...getTransferables(base),
+    ...toolBuffers.flatMap(({ buffers }) => getTransferables(buffers)),
+    ...(clip ? getTransferables(clip) : [])
+  ];
+
+  worker.postMessage({ type: 'carve', base, tools: toolBuffers, clip, simplify }, transferables);
+
+  // CSG runs synchronously inside the worker, so terminating it is the only way to stop
+  const cancel = () => {
+    if (finished) return;
+    finish();
+    rejectJob(new CarveCancelledError());
+  };
+
+  return { promise, cancel };
+}
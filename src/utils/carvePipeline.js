@@ -0,0 +1,47 @@
+import { subtractGeometry, unionGeometry } from './csgUtils.js';
+
+/**
+ * Carve pipeline - applies inscription tools and the clip to the bowtie
+ * Shared by the carve worker (web app) and scripts/regenerate-stl.js (Node), so both
+ * produce the same production geometry. Synchronous; call initBooleanBackends() first
+ * to carve with Manifold.
+ *
+ * @param {Object} options
+ * @param {THREE.BufferGeometry} options.baseGeometry - Bowtie geometry (world space)
+ * @param {Array<{ label: string, operation: 'subtract' | 'union', geometry: THREE.BufferGeometry }>} options.tools -
+ *   Inscription solids, applied in list order (engraved ones subtracted, embossed ones unioned)
+ * @param {THREE.BufferGeometry|null} options.clipGeometry - Clip unioned on last (optional)
+ * @param {boolean} options.simplify - Simplify after the clip union
+ * @param {Function} options.onProgress - Called before each step with
+ *   { stage: 'subtract' | 'emboss' | 'union', step, totalSteps, label }
+ * @returns {THREE.BufferGeometry} Result (userData.csgBackends lists the backend used per step)
+ */
+export function carveInscriptions({ baseGeometry, tools, clipGeometry = null, simplify = false, onProgress }) {
+  const csgBackends = [];
+  const totalSteps = tools.length + (clipGeometry ? 1 : 0);
+  let step = 0;
+
+  let resultGeometry = baseGeometry;
+
+  // Subtract engraved inscriptions, union embossed ones (in list order)
+  for (const tool of tools) {
+    const isEmboss = tool.operation === 'union';
+    onProgress?.({ stage: isEmboss ? 'emboss' : 'subtract', step, totalSteps, label: tool.label });
+    resultGeometry = isEmboss
+      ? unionGeometry(resultGeometry, tool.geometry, false)
+      : subtractGeometry(resultGeometry, tool.geometry);
+    csgBackends.push(resultGeometry.userData.csgBackend || null);
+    step++;
+  }
+
+  // Union with clip model if provided
+  if (clipGeometry) {
+    onProgress?.({ stage: 'union', step, totalSteps, label: 'clip' });
+    resultGeometry = unionGeometry(resultGeometry, clipGeometry, simplify);
+    csgBackends.push(resultGeometry.userData.csgBackend || null);
+    step++;
+  }
+
+  resultGeometry.userData.csgBackends = csgBackends;
+  return resultGeometry;
+}
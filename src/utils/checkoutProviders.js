@@ -0,0 +1,157 @@
+/**
+ * Checkout providers - turn a stored order into a payment page to send the customer to
+ *
+ * Every provider is an adapter with the same shape:
+ *   { name, createCheckout(order) => Promise<{ checkoutUrl, checkoutId? }> }
+ * where order is
+ *   { confirmationNumber, productName, price, currency, email, orderFile }
+ * and orderFile is the StoredFile of the uploaded order JSON (see orderStorage.js).
+ *
+ * The provider is picked by configuration (Vite env vars, see .env.example):
+ *   VITE_CHECKOUT_PROVIDER   shopify (default) | webhook | mock
+ *   VITE_CHECKOUT_URL        Draft order endpoint, webhook URL, or mock server URL
+ */
+
+// Shopify draft order function (Vercel), used when no URL is configured
+const DEFAULT_SHOPIFY_DRAFT_ORDER_URL = 'https://shopify-draft-order-io3s5gd2e-ricerolls-projects.vercel.app/api/create-order';
+
+// scripts/mock-checkout-server.js
+const DEFAULT_MOCK_CHECKOUT_URL = 'http://localhost:8788';
+
+// Helper: Read a JSON response, with the body in the error if the request failed
+async function readCheckoutResponse(response) {
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('API Error Response:', errorText);
+    throw new Error(`API Request Failed: ${response.status}`);
+  }
+  const data = await response.json();
+  console.log('API Response:', data);
+  return data;
+}
+
+/**
+ * Shopify draft order: GET <url>?productName&price&email, answered with the draft order's
+ * invoice URL (checkoutUrl, or invoice_url as Shopify names it)
+ *
+ * @param {Object} options
+ * @param {string} options.url - Draft order endpoint
+ */
+export function createShopifyCheckout({ url = DEFAULT_SHOPIFY_DRAFT_ORDER_URL } = {}) {
+  return {
+    name: 'shopify',
+    async createCheckout({ productName, price, email }) {
+      const apiUrl = new URL(url);
+      apiUrl.searchParams.append('productName', productName);
+      apiUrl.searchParams.append('price', price);
+      apiUrl.searchParams.append('email', email);
+      console.log('API URL:', apiUrl.toString());
+
+      const data = await readCheckoutResponse(await fetch(apiUrl.toString(), {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        }
+      }));
+
+      const checkoutUrl = data.checkoutUrl || data.invoice_url || data.draft_order?.invoice_url;
+      if (!checkoutUrl) {
+        throw new Error('Failed to get Shopify URL');
+      }
+      return { checkoutUrl, checkoutId: data.draftOrderId || data.draft_order?.id };
+    }
+  };
+}
+
+/**
+ * Generic webhook: POST the order as JSON, answered with { checkoutUrl, checkoutId? }
+ * The endpoint must allow cross-origin JSON POSTs from the site (CORS).
+ *
+ * @param {Object} options
+ * @param {string} options.url - Webhook URL
+ * @param {string} options.name - Provider name in logs
+ */
+export function createWebhookCheckout({ url, name = 'webhook' } = {}) {
+  if (!url) {
+    throw new Error('Webhook checkout needs a URL (VITE_CHECKOUT_URL)');
+  }
+
+  return {
+    name,
+    async createCheckout(order) {
+      const data = await readCheckoutResponse(await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...order,
+          returnUrl: typeof window !== 'undefined' ? window.location.href : null
+        })
+      }));
+
+      if (!data.checkoutUrl) {
+        throw new Error(`Checkout ${name} did not return a checkoutUrl`);
+      }
+      return { checkoutUrl: data.checkoutUrl, checkoutId: data.checkoutId };
+    }
+  };
+}
+
+/**
+ * Local mock checkout (scripts/mock-checkout-server.js) - the webhook protocol against
+ * <url>/checkouts, answered with a fake invoice page. For testing the order flow offline.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Mock server URL
+ */
+export function createMockCheckout({ url = DEFAULT_MOCK_CHECKOUT_URL } = {}) {
+  return createWebhookCheckout({ url: `${url.replace(/\/+$/, '')}/checkouts`, name: 'mock' });
+}
+
+/**
+ * Create the provider for a configuration
+ *
+ * @param {Object} config
+ * @param {string} config.provider - 'shopify', 'webhook' or 'mock'
+ * @param {string} config.url - Provider URL (shopify and mock have defaults)
+ * @returns {{ name: string, createCheckout: Function }} Checkout provider
+ */
+export function createCheckoutProvider({ provider = 'shopify', url } = {}) {
+  switch (provider) {
+    case 'shopify':
+      return createShopifyCheckout({ url });
+    case 'webhook':
+      return createWebhookCheckout({ url });
+    case 'mock':
+      return createMockCheckout({ url });
+    default:
+      throw new Error(`Unknown checkout provider: ${provider} (use shopify, webhook or mock)`);
+  }
+}
+
+// Provider configured for this build (created on first use)
+let configuredProvider = null;
+
+/**
+ * The checkout provider picked by the VITE_CHECKOUT_* settings
+ */
+export function getCheckoutProvider() {
+  if (!configuredProvider) {
+    // import.meta.env only exists in Vite builds; elsewhere the default provider is used
+    const env = import.meta.env || {};
+    configuredProvider = createCheckoutProvider({
+      provider: env.VITE_CHECKOUT_PROVIDER || undefined,
+      url: env.VITE_CHECKOUT_URL || undefined
+    });
+  }
+  return configuredProvider;
+}
+
+/**
+ * Create a checkout for an order with the configured provider
+ *
+ * @param {Object} order - { confirmationNumber, productName, price, currency, email, orderFile }
+ * @returns {Promise<{ checkoutUrl: string, checkoutId?: string }>}
+ */
+export function createCheckout(order) {
+  return getCheckoutProvider().createCheckout(order);
+}
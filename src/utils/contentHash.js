@@ -0,0 +1,7 @@
+// Helper: SHA-256 of a string or binary buffer as lowercase hex
+// Uses Web Crypto, which is available in browsers, workers and Node 20+
+export async function sha256Hex(content) {
+  const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
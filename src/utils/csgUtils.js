@@ -1,7 +1,7 @@
 import * as THREE from 'three';
-import { SUBTRACTION, ADDITION, Brush, Evaluator } from 'three-bvh-csg';
 import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 import { SimplifyModifier } from 'three/examples/jsm/modifiers/SimplifyModifier.js';
+import { getBackendChain } from './booleanBackends.js';
 
 /**
  * Simplify geometry by collapsing edges in planar areas while preserving sharp features
@@ -70,13 +70,41 @@ export function simplifyGeometry(geometry, targetReduction = 0.5) {
 }
 
 /**
- * Subtract one geometry from another using CSG (three-bvh-csg)
+ * Run a boolean operation, trying the preferred backend first
+ * Falls back to three-bvh-csg when Manifold is not loaded or rejects the input
+ * (e.g. non-manifold text tools on thin serifs)
+ *
+ * @returns {{ geometry: THREE.BufferGeometry, backend: string }|null} Result, or null if every backend failed
+ */
+function evaluateWithFallback(geometryA, geometryB, operation, backendName) {
+  for (const backend of getBackendChain(backendName)) {
+    if (!backend.isReady()) {
+      console.warn(`⚠️ ${backend.name} not initialized, falling back`);
+      continue;
+    }
+
+    try {
+      const geometry = operation === 'subtract'
+        ? backend.subtract(geometryA, geometryB)
+        : backend.union(geometryA, geometryB);
+      return { geometry, backend: backend.name };
+    } catch (error) {
+      console.warn(`⚠️ ${backend.name} ${operation} failed:`, error.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Subtract one geometry from another using CSG
  * 
  * @param {THREE.BufferGeometry} baseGeometry - The geometry to subtract from
  * @param {THREE.BufferGeometry} toolGeometry - The geometry to subtract
- * @returns {THREE.BufferGeometry} The resulting geometry after subtraction
+ * @param {Object} options
+ * @param {string} options.backend - Preferred boolean backend (defaults to Manifold)
+ * @returns {THREE.BufferGeometry} The resulting geometry after subtraction (userData.csgBackend records the backend used)
  */
-export function subtractGeometry(baseGeometry, toolGeometry) {
+export function subtractGeometry(baseGeometry, toolGeometry, { backend } = {}) {
   if (!baseGeometry || !toolGeometry) {
     console.error('⚠️ subtractGeometry: Missing geometry');
     return baseGeometry;
@@ -86,34 +114,17 @@ export function subtractGeometry(baseGeometry, toolGeometry) {
   console.log(`   Base: ${baseGeometry.attributes.position.count} vertices`);
   console.log(`   Tool: ${toolGeometry.attributes.position.count} vertices`);
 
-  // Prepare geometries for CSG
-  const baseClone = prepareGeometryForCSG(baseGeometry);
-  const toolClone = prepareGeometryForCSG(toolGeometry);
-
-  // Create brushes
-  const baseBrush = new Brush(baseClone);
-  baseBrush.updateMatrixWorld();
-
-  const toolBrush = new Brush(toolClone);
-  toolBrush.updateMatrixWorld();
-
-  console.log('✅ CSG Brushes created');
-
   // Perform subtraction
-  const evaluator = new Evaluator();
-  
-  let resultBrush;
-  try {
-    resultBrush = evaluator.evaluate(baseBrush, toolBrush, SUBTRACTION);
-  } catch (error) {
-    console.error('❌ CSG Evaluation failed:', error);
+  const result = evaluateWithFallback(baseGeometry, toolGeometry, 'subtract', backend);
+  if (!result) {
+    console.error('❌ CSG Evaluation failed');
     return baseGeometry;
   }
 
-  console.log('✅ CSG Subtraction complete');
+  console.log(`✅ CSG Subtraction complete (${result.backend})`);
 
   // Clean up and optimize result
-  let resultGeometry = resultBrush.geometry;
+  let resultGeometry = result.geometry;
   
   // Merge duplicate vertices
   resultGeometry = mergeVertices(resultGeometry, 0.0001);
@@ -121,6 +132,7 @@ export function subtractGeometry(baseGeometry, toolGeometry) {
   // Recompute normals
   resultGeometry.deleteAttribute('normal');
   resultGeometry.computeVertexNormals();
+  resultGeometry.userData.csgBackend = result.backend;
 
   console.log(`   Result: ${resultGeometry.attributes.position.count} vertices`);
 
@@ -128,14 +140,16 @@ export function subtractGeometry(baseGeometry, toolGeometry) {
 }
 
 /**
- * Union two geometries using CSG (three-bvh-csg)
+ * Union two geometries using CSG
  * 
  * @param {THREE.BufferGeometry} geometryA - The first geometry
  * @param {THREE.BufferGeometry} geometryB - The second geometry to union
  * @param {boolean} simplify - Whether to simplify the result (default true)
- * @returns {THREE.BufferGeometry} The resulting geometry after union
+ * @param {Object} options
+ * @param {string} options.backend - Preferred boolean backend (defaults to Manifold)
+ * @returns {THREE.BufferGeometry} The resulting geometry after union (userData.csgBackend records the backend used)
  */
-export function unionGeometry(geometryA, geometryB, simplify = true) {
+export function unionGeometry(geometryA, geometryB, simplify = true, { backend } = {}) {
   if (!geometryA || !geometryB) {
     console.error('⚠️ unionGeometry: Missing geometry');
     return geometryA || geometryB;
@@ -145,34 +159,17 @@ export function unionGeometry(geometryA, geometryB, simplify = true) {
   console.log(`   A: ${geometryA.attributes.position.count} vertices`);
   console.log(`   B: ${geometryB.attributes.position.count} vertices`);
 
-  // Prepare geometries for CSG
-  const cloneA = prepareGeometryForCSG(geometryA);
-  const cloneB = prepareGeometryForCSG(geometryB);
-
-  // Create brushes
-  const brushA = new Brush(cloneA);
-  brushA.updateMatrixWorld();
-
-  const brushB = new Brush(cloneB);
-  brushB.updateMatrixWorld();
-
-  console.log('✅ CSG Brushes created');
-
   // Perform union
-  const evaluator = new Evaluator();
-  
-  let resultBrush;
-  try {
-    resultBrush = evaluator.evaluate(brushA, brushB, ADDITION);
-  } catch (error) {
-    console.error('❌ CSG Union failed:', error);
+  const result = evaluateWithFallback(geometryA, geometryB, 'union', backend);
+  if (!result) {
+    console.error('❌ CSG Union failed');
     return geometryA;
   }
 
-  console.log('✅ CSG Union complete');
+  console.log(`✅ CSG Union complete (${result.backend})`);
 
   // Clean up and optimize result
-  let resultGeometry = resultBrush.geometry;
+  let resultGeometry = result.geometry;
   
   // Merge duplicate vertices
   resultGeometry = mergeVertices(resultGeometry, 0.0001);
@@ -185,53 +182,13 @@ export function unionGeometry(geometryA, geometryB, simplify = true) {
   // Recompute normals
   resultGeometry.deleteAttribute('normal');
   resultGeometry.computeVertexNormals();
+  resultGeometry.userData.csgBackend = result.backend;
 
   console.log(`   Result: ${resultGeometry.attributes.position.count} vertices`);
 
   return resultGeometry;
 }
 
-/**
- * Prepare geometry for CSG operations
- * Ensures required attributes exist and removes problematic ones
- */
-function prepareGeometryForCSG(geometry) {
-  const clone = geometry.clone();
-  
-  // Ensure index exists
-  if (!clone.index) {
-    const posCount = clone.attributes.position.count;
-    const indices = [];
-    for (let i = 0; i < posCount; i++) {
-      indices.push(i);
-    }
-    clone.setIndex(indices);
-  }
-
-  // Ensure UV exists
-  if (!clone.attributes.uv) {
-    const count = clone.attributes.position.count;
-    const uvs = new Float32Array(count * 2);
-    clone.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
-  }
-
-  // Ensure normals exist
-  if (!clone.attributes.normal) {
-    clone.computeVertexNormals();
-  }
-
-  // Remove non-standard attributes that might cause issues
-  const allowedAttributes = ['position', 'normal', 'uv'];
-  const attrNames = Object.keys(clone.attributes);
-  for (const name of attrNames) {
-    if (!allowedAttributes.includes(name)) {
-      clone.deleteAttribute(name);
-    }
-  }
-
-  return clone;
-}
-
 /**
  * Apply text carving to a mesh
  * 
@@ -0,0 +1,265 @@
+/**
+ * Design/order JSON schema - version, validation and migration
+ *
+ * Every design file, order, autosave and share link carries a schema version. Loading runs
+ * the file through the migrations up to DESIGN_SCHEMA_VERSION, then validates it, so old
+ * orders always reload the same way and broken files fail with messages that say what's wrong.
+ *
+ * Version history:
+ *   1 - Unversioned files: { timestamp, inscriptions, fonts?, confirmationNumber?, email? }
+ *   2 - Adds version, modelId and pricing ({ currency, basePrice, pricePerCharacter, characters, total })
+ *
+ * To change the format: bump DESIGN_SCHEMA_VERSION, add a migration from the previous version
+ * and update the validators below.
+ */
+
+export const DESIGN_SCHEMA_VERSION = 2;
+
+// Bowtie models a design can be made for (the OBJ files in public/)
+export const MODEL_IDS = ['morpheus'];
+export const DEFAULT_MODEL_ID = 'morpheus';
+
+/**
+ * Error for a design file that can't be loaded
+ * errors lists every problem found, e.g. "inscriptions[0].scale must be a positive number".
+ */
+export class DesignValidationError extends Error {
+  constructor(errors) {
+    const shown = errors.slice(0, 5).join('\n');
+    const more = errors.length > 5 ? `\n...and ${errors.length - 5} more` : '';
+    super(`Invalid design file:\n${shown}${more}`);
+    this.name = 'DesignValidationError';
+    this.errors = errors;
+  }
+}
+
+// Migrations by source version: each takes a file of that version and returns the next version
+const MIGRATIONS = {
+  1: (data) => ({
+    ...data,
+    version: 2,
+    modelId: DEFAULT_MODEL_ID,
+    // The price at the time wasn't recorded; don't guess it from today's prices
+    pricing: null
+  })
+};
+
+// Helper: Describe a value's type for error messages
+const describeType = (value) => (value === null ? 'null' : Array.isArray(value) ? 'an array' : typeof value);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Collects error messages while checking fields of one object
+ */
+function createChecker(errors, obj, path) {
+  const at = (key) => (path ? `${path}.${key}` : key);
+
+  return {
+    // Field must be present
+    required(key) {
+      if (obj[key] === undefined) {
+        errors.push(`${at(key)} is missing`);
+        return false;
+      }
+      return true;
+    },
+    number(key, { positive = false } = {}) {
+      const value = obj[key];
+      if (value === undefined) return;
+      if (!isFiniteNumber(value) || (positive && value <= 0)) {
+        errors.push(`${at(key)} must be a ${positive ? 'positive ' : ''}number (got ${JSON.stringify(value)})`);
+      }
+    },
+    string(key, { nullable = false } = {}) {
+      const value = obj[key];
+      if (value === undefined || (nullable && value === null)) return;
+      if (typeof value !== 'string') {
+        errors.push(`${at(key)} must be text (got ${describeType(value)})`);
+      }
+    },
+    oneOf(key, options) {
+      const value = obj[key];
+      if (value === undefined) return;
+      if (!options.includes(value)) {
+        errors.push(`${at(key)} must be one of ${options.map(o => `"${o}"`).join(', ')} (got ${JSON.stringify(value)})`);
+      }
+    },
+    vector(key, axes, { nullable = false } = {}) {
+      const value = obj[key];
+      if (value === undefined || (nullable && value === null)) return;
+      if (!isObject(value) || !axes.every(axis => isFiniteNumber(value[axis]))) {
+        errors.push(`${at(key)} must have numeric ${axes.join(', ')}`);
+      }
+    }
+  };
+}
+
+// Helper: Check the surface placement of an inscription
+function validateClickData(errors, clickData, path) {
+  if (clickData === null) return;
+  if (!isObject(clickData)) {
+    errors.push(`${path} must be an object or null (got ${describeType(clickData)})`);
+    return;
+  }
+
+  const check = createChecker(errors, clickData, path);
+  if (check.required('point')) check.vector('point', ['x', 'y', 'z']);
+  if (check.required('normal')) check.vector('normal', ['x', 'y', 'z']);
+  if (check.required('uv')) check.vector('uv', ['x', 'y']);
+  check.vector('tangent', ['x', 'y', 'z'], { nullable: true });
+  check.vector('bitangent', ['x', 'y', 'z'], { nullable: true });
+  check.vector('uvTangent', ['x', 'y'], { nullable: true });
+  check.vector('uvBitangent', ['x', 'y'], { nullable: true });
+  if (clickData.faceIndex !== undefined && clickData.faceIndex !== null && !Number.isInteger(clickData.faceIndex)) {
+    errors.push(`${path}.faceIndex must be a whole number`);
+  }
+}
+
+// Helper: Check one inscription
+function validateInscription(errors, inscription, path) {
+  if (!isObject(inscription)) {
+    errors.push(`${path} must be an object (got ${describeType(inscription)})`);
+    return;
+  }
+
+  const check = createChecker(errors, inscription, path);
+  check.oneOf('type', ['text', 'svg']);
+
+  if (inscription.type === 'svg') {
+    if (check.required('svgSource')) check.string('svgSource');
+    check.string('svgName', { nullable: true });
+  } else {
+    if (check.required('text')) check.string('text');
+    if (check.required('font')) check.string('font');
+    check.string('fallbackFont', { nullable: true });
+  }
+
+  if (check.required('scale')) check.number('scale', { positive: true });
+  if (check.required('depth')) check.number('depth', { positive: true });
+  check.number('rotation');
+  check.oneOf('mode', ['engrave', 'emboss']);
+  check.oneOf('align', ['left', 'center', 'right']);
+  check.number('lineHeight', { positive: true });
+  check.number('letterSpacing');
+  check.oneOf('layout', ['straight', 'arc']);
+  check.number('arcRadius', { positive: true });
+  check.number('arcStartAngle');
+  check.oneOf('arcDirection', ['convex', 'concave']);
+
+  if (inscription.kerning !== undefined) {
+    if (!isObject(inscription.kerning)) {
+      errors.push(`${path}.kerning must be an object of letter pairs`);
+    } else {
+      for (const [pair, value] of Object.entries(inscription.kerning)) {
+        if (!isFiniteNumber(value)) {
+          errors.push(`${path}.kerning["${pair}"] must be a number`);
+        }
+      }
+    }
+  }
+
+  if (check.required('clickData')) validateClickData(errors, inscription.clickData, `${path}.clickData`);
+}
+
+// Helper: Check the fonts table
+function validateFonts(errors, fonts) {
+  if (fonts === undefined) return;
+  if (!isObject(fonts)) {
+    errors.push(`fonts must be an object keyed by font id (got ${describeType(fonts)})`);
+    return;
+  }
+
+  for (const [id, font] of Object.entries(fonts)) {
+    const path = `fonts["${id}"]`;
+    if (!isObject(font)) {
+      errors.push(`${path} must be an object`);
+      continue;
+    }
+    const check = createChecker(errors, font, path);
+    check.string('name');
+    check.string('hash', { nullable: true });
+    if (font.data !== undefined && !(isObject(font.data) && isObject(font.data.glyphs) && isFiniteNumber(font.data.resolution))) {
+      errors.push(`${path}.data is not typeface data (needs glyphs and resolution)`);
+    }
+  }
+}
+
+// Helper: Check the recorded price
+function validatePricing(errors, pricing) {
+  if (pricing === null) return;
+  if (!isObject(pricing)) {
+    errors.push(`pricing must be an object or null (got ${describeType(pricing)})`);
+    return;
+  }
+
+  const check = createChecker(errors, pricing, 'pricing');
+  if (check.required('currency')) check.string('currency');
+  for (const key of ['basePrice', 'pricePerCharacter', 'characters', 'total']) {
+    if (check.required(key)) check.number(key);
+  }
+}
+
+/**
+ * Bring a design file up to the current schema version
+ *
+ * @param {Object} data - Parsed design/order JSON of any version
+ * @returns {Object} The same design in the current version (the input is not modified)
+ * @throws {DesignValidationError} If the file is newer than this app or has no usable version
+ */
+export function migrateDesign(data) {
+  if (!isObject(data)) {
+    throw new DesignValidationError([`The file must contain a JSON object (got ${describeType(data)})`]);
+  }
+
+  const version = data.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new DesignValidationError([`version must be a whole number from 1 (got ${JSON.stringify(data.version)})`]);
+  }
+  if (version > DESIGN_SCHEMA_VERSION) {
+    throw new DesignValidationError([
+      `This file uses schema version ${version}, but this app only reads up to version ${DESIGN_SCHEMA_VERSION}. Update the app to open it.`
+    ]);
+  }
+
+  let migrated = data;
+  for (let v = version; v < DESIGN_SCHEMA_VERSION; v++) {
+    migrated = MIGRATIONS[v](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Migrate a design file to the current version and validate it
+ *
+ * @param {Object} data - Parsed design/order JSON of any version
+ * @returns {Object} Valid design in the current version
+ * @throws {DesignValidationError} Listing every problem found
+ */
+export function validateDesign(data) {
+  const design = migrateDesign(data);
+  const errors = [];
+  const check = createChecker(errors, design, '');
+
+  if (check.required('modelId')) check.oneOf('modelId', MODEL_IDS);
+  check.string('timestamp');
+  check.string('confirmationNumber');
+  check.string('email');
+
+  if (!Array.isArray(design.inscriptions)) {
+    errors.push(design.inscriptions === undefined ? 'inscriptions is missing' : `inscriptions must be a list (got ${describeType(design.inscriptions)})`);
+  } else if (design.inscriptions.length === 0) {
+    errors.push('inscriptions is empty');
+  } else {
+    design.inscriptions.forEach((inscription, index) => validateInscription(errors, inscription, `inscriptions[${index}]`));
+  }
+
+  validateFonts(errors, design.fonts);
+  if (check.required('pricing')) validatePricing(errors, design.pricing);
+
+  if (errors.length > 0) {
+    throw new DesignValidationError(errors);
+  }
+  return design;
+}
@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+import { DEFAULT_ARC_RADIUS, DEFAULT_LINE_HEIGHT, DEFAULT_LETTER_SPACING } from './textLayout.js';
+import { DEFAULT_FONT_ID } from './fontRegistry.js';
+import { DESIGN_SCHEMA_VERSION, DEFAULT_MODEL_ID, validateDesign } from './designSchema.js';
+import { getPriceBreakdown } from './pricing.js';
+
+/**
+ * Design serialization helpers
+ * Converts inscriptions between app state (THREE vectors, generated geometry)
+ * and the plain JSON stored in design/order files.
+ */
+
+const toXYZ = (v) => ({ x: v.x, y: v.y, z: v.z });
+const toXY = (v) => ({ x: v.x, y: v.y });
+
+/**
+ * Serialize click data (surface placement) to plain JSON
+ *
+ * @param {Object|null} clickData - Click data from SurfaceRaycaster
+ * @returns {Object|null} JSON-safe click data
+ */
+export function serializeClickData(clickData) {
+  if (!clickData) return null;
+
+  return {
+    point: toXYZ(clickData.point),
+    normal: toXYZ(clickData.normal),
+    uv: toXY(clickData.uv),
+    faceIndex: clickData.faceIndex,
+    tangent: clickData.tangent ? toXYZ(clickData.tangent) : null,
+    bitangent: clickData.bitangent ? toXYZ(clickData.bitangent) : null,
+    uvTangent: clickData.uvTangent ? toXY(clickData.uvTangent) : null,
+    uvBitangent: clickData.uvBitangent ? toXY(clickData.uvBitangent) : null
+  };
+}
+
+/**
+ * Restore click data from plain JSON
+ *
+ * @param {Object|null} data - JSON click data
+ * @returns {Object|null} Click data with THREE vectors
+ */
+export function deserializeClickData(data) {
+  if (!data) return null;
+
+  return {
+    point: new THREE.Vector3(data.point.x, data.point.y, data.point.z),
+    normal: new THREE.Vector3(data.normal.x, data.normal.y, data.normal.z),
+    uv: new THREE.Vector2(data.uv.x, data.uv.y),
+    faceIndex: data.faceIndex,
+    tangent: data.tangent ? new THREE.Vector3(data.tangent.x, data.tangent.y, data.tangent.z) : null,
+    bitangent: data.bitangent ? new THREE.Vector3(data.bitangent.x, data.bitangent.y, data.bitangent.z) : null,
+    uvTangent: data.uvTangent ? new THREE.Vector2(data.uvTangent.x, data.uvTangent.y) : null,
+    uvBitangent: data.uvBitangent ? new THREE.Vector2(data.uvBitangent.x, data.uvBitangent.y) : null
+  };
+}
+
+/**
+ * Serialize the fonts used by text inscriptions
+ * Every font records its content hash; uploaded fonts also carry their typeface data
+ * so the carve can be reproduced exactly.
+ *
+ * @param {Array<Object>} inscriptions - Inscriptions from app state
+ * @param {Array<Object>} fonts - Available fonts (built-in and uploaded)
+ * @returns {Object} Fonts keyed by id ({ name, hash, data? })
+ */
+export function serializeFonts(inscriptions, fonts) {
+  const usedFontIds = new Set(inscriptions
+    .filter(i => i.type !== 'svg')
+    .flatMap(i => (i.fallbackFont ? [i.font, i.fallbackFont] : [i.font])));
+  const serialized = {};
+
+  for (const font of fonts) {
+    if (usedFontIds.has(font.id)) {
+      serialized[font.id] = font.data
+        ? { name: font.name, hash: font.hash, data: font.data }
+        : { name: font.name, hash: font.hash };
+    }
+  }
+  return serialized;
+}
+
+/**
+ * Restore uploaded fonts from a design file (built-in fonts are only referenced by hash)
+ *
+ * @param {Object|undefined} data - Fonts keyed by id
+ * @returns {Array<{ id: string, name: string, data: Object, hash: string|null, minSize: number }>} Font entries
+ *   (invalid ones are skipped)
+ */
+export function deserializeFonts(data) {
+  if (!data || typeof data !== 'object') return [];
+
+  return Object.entries(data)
+    .filter(([, font]) => font?.data?.glyphs && font.data.resolution)
+    .map(([id, font]) => ({ id, name: font.name || id, data: font.data, hash: font.hash || null, minSize: 1 }));
+}
+
+/**
+ * Find fonts whose recorded hash differs from the font available now
+ * A mismatch means the design was made with a different version of the font file.
+ *
+ * @param {Object|undefined} data - Fonts keyed by id, from a design file
+ * @param {Array<Object>} fonts - Available fonts (built-in and uploaded)
+ * @returns {string[]} Names of the fonts that changed
+ */
+export function findChangedFonts(data, fonts) {
+  if (!data || typeof data !== 'object') return [];
+
+  return Object.entries(data)
+    .filter(([id, recorded]) => {
+      const current = fonts.find(f => f.id === id);
+      return current && recorded?.hash && !recorded.data && current.hash !== recorded.hash;
+    })
+    .map(([id, recorded]) => recorded.name || id);
+}
+
+/**
+ * Restore a kerning table, keeping only two-character pairs with numeric values
+ *
+ * @param {Object|undefined} data - JSON kerning table
+ * @returns {Object} Kerning table keyed by letter pair
+ */
+function deserializeKerning(data) {
+  const kerning = {};
+  if (!data || typeof data !== 'object') return kerning;
+
+  for (const [pair, value] of Object.entries(data)) {
+    if (Array.from(pair).length === 2 && Number.isFinite(value) && value !== 0) {
+      kerning[pair] = value;
+    }
+  }
+  return kerning;
+}
+
+/**
+ * Serialize an inscription to plain JSON (generated geometry is not stored)
+ *
+ * @param {Object} inscription - Inscription from app state
+ * @returns {Object} JSON-safe inscription
+ */
+export function serializeInscription(inscription) {
+  return {
+    id: inscription.id,
+    type: inscription.type,
+    text: inscription.text,
+    scale: inscription.scale,
+    depth: inscription.depth,
+    font: inscription.font,
+    fallbackFont: inscription.fallbackFont,
+    rotation: inscription.rotation,
+    mode: inscription.mode,
+    align: inscription.align,
+    lineHeight: inscription.lineHeight,
+    letterSpacing: inscription.letterSpacing,
+    kerning: { ...inscription.kerning },
+    layout: inscription.layout,
+    arcRadius: inscription.arcRadius,
+    arcStartAngle: inscription.arcStartAngle,
+    arcDirection: inscription.arcDirection,
+    svgSource: inscription.svgSource,
+    svgName: inscription.svgName,
+    clickData: serializeClickData(inscription.clickData)
+  };
+}
+
+/**
+ * Restore an inscription from plain JSON, filling defaults for missing fields
+ *
+ * @param {Object} data - JSON inscription
+ * @param {string} id - Id to assign in app state
+ * @returns {Object} Inscription for app state
+ */
+export function deserializeInscription(data, id) {
+  return {
+    id,
+    type: data.type === 'svg' && data.svgSource ? 'svg' : 'text',
+    text: data.text || 'Botai',
+    scale: data.scale || 0.015,
+    depth: data.depth || 0.5,
+    font: data.font || DEFAULT_FONT_ID,
+    fallbackFont: data.fallbackFont || null,
+    rotation: data.rotation || 0,
+    mode: data.mode === 'emboss' ? 'emboss' : 'engrave',
+    align: ['center', 'right'].includes(data.align) ? data.align : 'left',
+    lineHeight: data.lineHeight || DEFAULT_LINE_HEIGHT,
+    letterSpacing: data.letterSpacing || DEFAULT_LETTER_SPACING,
+    kerning: deserializeKerning(data.kerning),
+    layout: data.layout === 'arc' ? 'arc' : 'straight',
+    arcRadius: data.arcRadius || DEFAULT_ARC_RADIUS,
+    arcStartAngle: data.arcStartAngle || 0,
+    arcDirection: data.arcDirection === 'concave' ? 'concave' : 'convex',
+    svgSource: data.svgSource || null,
+    svgName: data.svgName || null,
+    clickData: deserializeClickData(data.clickData),
+    geometry: null
+  };
+}
+
+/**
+ * Serialize a whole design (inscriptions + the fonts they use) in the current schema version
+ * Same shape as design JSON files; orders add their confirmation number and email.
+ *
+ * @param {Array<Object>} inscriptions - Inscriptions from app state
+ * @param {Array<Object>} fonts - Available fonts (built-in and uploaded)
+ * @returns {Object} JSON-safe design ({ version, modelId, timestamp, inscriptions, fonts, pricing })
+ */
+export function serializeDesign(inscriptions, fonts) {
+  return {
+    version: DESIGN_SCHEMA_VERSION,
+    modelId: DEFAULT_MODEL_ID,
+    timestamp: new Date().toISOString(),
+    inscriptions: inscriptions.map(serializeInscription),
+    fonts: serializeFonts(inscriptions, fonts),
+    pricing: getPriceBreakdown(inscriptions)
+  };
+}
+
+/**
+ * Restore a whole design from plain JSON
+ * Older schema versions are migrated first (see designSchema.js).
+ *
+ * @param {Object} data - Design JSON (file, order or stored design) of any schema version
+ * @param {string} idPrefix - Prefix for the restored inscription ids
+ * @returns {{ inscriptions: Array<Object>, fonts: Array<Object>, modelId: string, pricing: Object|null }}
+ *   Inscriptions and uploaded fonts for app state, plus the recorded model and price
+ * @throws {DesignValidationError} If the data doesn't match the schema
+ */
+export function deserializeDesign(data, idPrefix = 'inscription-loaded') {
+  const design = validateDesign(data);
+
+  return {
+    inscriptions: design.inscriptions.map((i, index) => deserializeInscription(i, `${idPrefix}-${index + 1}`)),
+    fonts: deserializeFonts(design.fonts),
+    modelId: design.modelId,
+    pricing: design.pricing
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Design storage - keeps designs in the browser's IndexedDB
+ *
+ * One record holds the autosaved session; named slots hold designs the user saved explicitly.
+ * Records store the same plain JSON as design files (see designSerializer.serializeDesign):
+ *   { id, name, savedAt, design }
+ *
+ * All functions return promises and reject when IndexedDB is unavailable (e.g. private browsing).
+ */
+
+const DB_NAME = 'botai-designs';
+const DB_VERSION = 1;
+const STORE_NAME = 'designs';
+
+export const AUTOSAVE_ID = 'autosave';
+const SLOT_PREFIX = 'slot:';
+
+let dbPromise = null;
+
+// Helper: Resolve/reject with an IndexedDB request's result
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open (and on first use create) the designs database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    dbPromise = requestToPromise(request);
+    // Forget failures so a later call can retry
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Helper: Run one request against the designs store
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase();
+  const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  return requestToPromise(makeRequest(store));
+}
+
+// Helper: Write a design record
+const putDesign = (id, name, design) => withStore('readwrite', store => store.put({
+  id,
+  name,
+  savedAt: new Date().toISOString(),
+  design
+}));
+
+/**
+ * Save the current session (overwrites the previous autosave)
+ *
+ * @param {Object} design - Serialized design
+ * @returns {Promise<void>}
+ */
+export async function saveAutosave(design) {
+  await putDesign(AUTOSAVE_ID, 'Autosave', design);
+}
+
+/**
+ * Load the last autosaved session
+ *
+ * @returns {Promise<Object|null>} Record ({ id, name, savedAt, design }) or null if none
+ */
+export async function loadAutosave() {
+  return (await withStore('readonly', store => store.get(AUTOSAVE_ID))) || null;
+}
+
+/**
+ * Save a design under a name (a slot with the same name is replaced)
+ *
+ * @param {string} name - Slot name
+ * @param {Object} design - Serialized design
+ * @returns {Promise<string>} Slot id
+ */
+export async function saveSlot(name, design) {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('Design name is empty');
+  }
+
+  const id = `${SLOT_PREFIX}${trimmed}`;
+  await putDesign(id, trimmed, design);
+  return id;
+}
+
+/**
+ * List saved slots, newest first (without their designs)
+ *
+ * @returns {Promise<Array<{ id: string, name: string, savedAt: string }>>} Slots
+ */
+export async function listSlots() {
+  const records = await withStore('readonly', store => store.getAll());
+  return records
+    .filter(record => record.id.startsWith(SLOT_PREFIX))
+    .map(({ id, name, savedAt }) => ({ id, name, savedAt }))
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Load a saved slot
+ *
+ * @param {string} id - Slot id from listSlots/saveSlot
+ * @returns {Promise<Object|null>} Record ({ id, name, savedAt, design }) or null if it was deleted
+ */
+export async function loadSlot(id) {
+  return (await withStore('readonly', store => store.get(id))) || null;
+}
+
+/**
+ * Delete a saved slot
+ *
+ * @param {string} id - Slot id
+ * @returns {Promise<void>}
+ */
+export async function deleteSlot(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
@@ -0,0 +1,76 @@
+import { TTFLoader } from 'three/examples/jsm/loaders/TTFLoader.js';
+import opentype from 'three/examples/jsm/libs/opentype.module.js';
+import { sha256Hex } from './contentHash.js';
+
+/**
+ * Font conversion - turns uploaded TTF/OTF/WOFF files into typeface JSON
+ * The result is the same format FontLoader reads, so custom fonts go through
+ * the exact same layout and carving path as the built-in typeface fonts.
+ * WOFF2 is not supported by opentype.js.
+ */
+
+export const CUSTOM_FONT_EXTENSIONS = ['.ttf', '.otf', '.woff'];
+export const CUSTOM_FONT_PREFIX = 'custom-';
+
+/**
+ * Turn a font name into an id safe for font lists and JSON keys
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'font';
+}
+
+/**
+ * Convert a font file to typeface JSON
+ *
+ * @param {ArrayBuffer} buffer - TTF, OTF or WOFF file contents
+ * @param {string} fileName - Original file name (fallback for the display name)
+ * @returns {{ id: string, name: string, data: Object }} Font entry with typeface JSON data
+ */
+export function convertFontFile(buffer, fileName = 'Custom font') {
+  // CFF (OTF) outlines wind the opposite way to TrueType ones
+  const { outlinesFormat, unitsPerEm } = opentype.parse(buffer);
+
+  const loader = new TTFLoader();
+  loader.reversed = outlinesFormat === 'cff';
+  const data = loader.parse(buffer);
+
+  if (Object.keys(data.glyphs).length === 0) {
+    throw new Error('Font has no glyphs');
+  }
+
+  // TTFLoader scales glyphs to resolution 1000 but leaves these metrics in font units
+  const metricScale = 100000 / ((unitsPerEm || 2048) * 72);
+  data.boundingBox = {
+    xMin: Math.round(data.boundingBox.xMin * metricScale),
+    xMax: Math.round(data.boundingBox.xMax * metricScale),
+    yMin: Math.round(data.boundingBox.yMin * metricScale),
+    yMax: Math.round(data.boundingBox.yMax * metricScale)
+  };
+  data.underlinePosition = Math.round(data.underlinePosition * metricScale);
+  data.underlineThickness = Math.round(data.underlineThickness * metricScale);
+
+  // The raw name table is large and not needed to lay out text
+  delete data.original_font_information;
+
+  const name = data.familyName || fileName.replace(/\.[^.]+$/, '');
+  return { id: `${CUSTOM_FONT_PREFIX}${slugify(name)}`, name, data };
+}
+
+/**
+ * Read and convert an uploaded font file
+ *
+ * @param {File} file - Uploaded font file
+ * @returns {Promise<{ id: string, name: string, data: Object, hash: string, minSize: number }>} Font entry
+ */
+export async function loadFontFile(file) {
+  const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+  if (!CUSTOM_FONT_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported font type "${extension}" (use ${CUSTOM_FONT_EXTENSIONS.join(', ')})`);
+  }
+
+  const buffer = await file.arrayBuffer();
+  const font = convertFontFile(buffer, file.name);
+  // Hash of the typeface JSON as stored in orders
+  const hash = await sha256Hex(JSON.stringify(font.data));
+  return { ...font, hash, minSize: 1 };
+}
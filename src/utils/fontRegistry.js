@@ -0,0 +1,169 @@
+import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
+import { sha256Hex } from './contentHash.js';
+
+/**
+ * Font registry - the single list of fonts available for inscriptions
+ *
+ * Built-in fonts are typeface JSON files served from public/fonts, so designs never
+ * depend on a CDN. Each one carries the SHA-256 of its file; the hash is checked when
+ * the font loads and recorded in design/order JSON so the factory carves with exactly
+ * the font that was previewed.
+ *
+ * Uploaded fonts (see fontConverter.js) carry their typeface data and hash instead of a file.
+ *
+ * minSize: minimum font size (1-5), where 1=0.015, 5=0.035
+ * After changing a file in public/fonts, update its hash (node scripts/hash-fonts.js).
+ */
+export const BUILT_IN_FONTS = [
+  // MgOpen fonts shipped with three.js
+  {
+    id: 'helvetiker',
+    name: 'Helvetica',
+    file: 'fonts/helvetiker_regular.typeface.json',
+    hash: 'd5c5467690f74061179a292af83bd85c4c551e0f106b2af99714f11184c96981',
+    minSize: 1
+  },
+  {
+    id: 'optimer',
+    name: 'Optimer',
+    file: 'fonts/optimer_regular.typeface.json',
+    hash: '17e5e14d94d66e0e60eed3bfde403fcfa3e677f3c914e4cbed264c0c0ba95175',
+    minSize: 4
+  },
+  {
+    id: 'gentilis',
+    name: 'Gentilis',
+    file: 'fonts/gentilis_regular.typeface.json',
+    hash: '7ed95f2faa30f59dbe7cfb145b97c42a6ba1188cd2eec01ca61485e8c83ee9de',
+    minSize: 4
+  },
+  // Google Fonts (SIL Open Font License)
+  {
+    id: 'roboto',
+    name: 'Roboto',
+    file: 'fonts/roboto_regular.typeface.json',
+    hash: '2bdc2710c628f8e719b9b083f10f9e75f2df851781ca3a3c7057fb1a6e3f03de',
+    minSize: 1
+  },
+  {
+    id: 'open-sans',
+    name: 'Open Sans',
+    file: 'fonts/open-sans_regular.typeface.json',
+    hash: 'b0d77cea30b0f0263fc294e298bcd973e67c4e62b51dce0b955b6735400b5323',
+    minSize: 1
+  },
+  {
+    id: 'merriweather',
+    name: 'Merriweather',
+    file: 'fonts/merriweather_regular.typeface.json',
+    hash: 'f2119da2baf6e898ec795c30937e006d8adc2fcfc67397df110b1fdcb65f28d8',
+    minSize: 2
+  }
+];
+
+export const DEFAULT_FONT_ID = 'helvetiker';
+
+// Font size range shown in the UI (sizes map linearly onto inscription scale)
+export const MIN_FONT_SIZE = 1;
+export const MAX_FONT_SIZE = 5;
+
+// Helper: Convert inscription scale to font size (1-5)
+export const scaleToFontSize = (scale) => Math.round((scale - 0.015) / 0.005) + 1;
+// Helper: Convert font size (1-5) to inscription scale
+export const fontSizeToScale = (size) => 0.015 + (size - 1) * 0.005;
+
+// Loaded fonts by id + hash (a re-uploaded font with new data gets a new entry)
+const fontCache = new Map();
+// Fonts that finished loading, for synchronous lookups
+const loadedFonts = new Map();
+
+// Helper: Cache key for a font entry
+const getFontKey = (fontInfo) => `${fontInfo.id}:${fontInfo.hash}`;
+
+/**
+ * Find a font by id, falling back to the default font
+ *
+ * @param {Array<Object>} fonts - Font list (built-in and uploaded)
+ * @param {string} id - Font id
+ * @returns {Object} Font entry
+ */
+export function findFont(fonts, id) {
+  return fonts.find(f => f.id === id)
+    || fonts.find(f => f.id === DEFAULT_FONT_ID)
+    || fonts[0];
+}
+
+/**
+ * Smallest font size allowed for an inscription
+ * Font minimums don't apply to SVG logos.
+ *
+ * @param {Object} inscription - Inscription (type, font)
+ * @param {Array<Object>} fonts - Font list (built-in and uploaded)
+ * @returns {number} Minimum font size (1-5)
+ */
+export function getMinFontSize(inscription, fonts) {
+  if (inscription.type === 'svg') return MIN_FONT_SIZE;
+  return findFont(fonts, inscription.font).minSize || MIN_FONT_SIZE;
+}
+
+/**
+ * Read a built-in font file and check it against the registry hash
+ * readFile (Node scripts) reads the file directly; otherwise it is fetched from baseUrl.
+ */
+async function fetchFontData(fontInfo, baseUrl, readFile) {
+  let buffer;
+  if (readFile) {
+    buffer = await readFile(fontInfo.file);
+  } else {
+    const response = await fetch(`${baseUrl}${fontInfo.file}`);
+    if (!response.ok) {
+      throw new Error(`Failed to load font ${fontInfo.name}: HTTP ${response.status}`);
+    }
+    buffer = await response.arrayBuffer();
+  }
+
+  const hash = await sha256Hex(buffer);
+  if (hash !== fontInfo.hash) {
+    throw new Error(`Font ${fontInfo.name} does not match its registered hash (got ${hash})`);
+  }
+
+  return JSON.parse(new TextDecoder().decode(buffer));
+}
+
+/**
+ * Load a font entry as a three.js Font
+ *
+ * @param {Object} fontInfo - Font entry from the registry or an uploaded font
+ * @param {Object} options
+ * @param {string} options.baseUrl - Where public/ is served from (relative to the page by default)
+ * @param {Function} options.readFile - Reads a path relative to public/ into an ArrayBuffer or
+ *   Uint8Array, for loading without fetch (Node scripts)
+ * @returns {Promise<Font>} Loaded font
+ */
+export function loadFont(fontInfo, { baseUrl = './', readFile = null } = {}) {
+  const key = getFontKey(fontInfo);
+
+  if (!fontCache.has(key)) {
+    const promise = (fontInfo.data ? Promise.resolve(fontInfo.data) : fetchFontData(fontInfo, baseUrl, readFile))
+      .then(data => {
+        const font = new FontLoader().parse(data);
+        loadedFonts.set(key, font);
+        return font;
+      });
+    // Forget failures so a later attempt can retry
+    promise.catch(() => fontCache.delete(key));
+    fontCache.set(key, promise);
+  }
+
+  return fontCache.get(key);
+}
+
+/**
+ * Get a font that has already finished loading
+ *
+ * @param {Object} fontInfo - Font entry
+ * @returns {Font|null} The font, or null if it hasn't loaded (yet)
+ */
+export function getLoadedFont(fontInfo) {
+  return loadedFonts.get(getFontKey(fontInfo)) || null;
+}
@@ -0,0 +1,58 @@
+import * as THREE from 'three';
+
+/**
+ * Copy a BufferGeometry into plain typed arrays that can be posted to a worker
+ * The arrays are copies, so transferring them never detaches the source geometry
+ *
+ * @param {THREE.BufferGeometry} geometry - The geometry to copy
+ * @returns {{ attributes: Object, index: Uint32Array|null, userData: Object }} Plain geometry buffers
+ */
+export function geometryToBuffers(geometry) {
+  const attributes = {};
+  for (const [name, attribute] of Object.entries(geometry.attributes)) {
+    attributes[name] = {
+      array: attribute.array.slice(),
+      itemSize: attribute.itemSize
+    };
+  }
+
+  return {
+    attributes,
+    index: geometry.index ? Uint32Array.from(geometry.index.array) : null,
+    userData: { ...geometry.userData }
+  };
+}
+
+/**
+ * Rebuild a BufferGeometry from buffers created by geometryToBuffers
+ *
+ * @param {{ attributes: Object, index: Uint32Array|null, userData: Object }} buffers - Plain geometry buffers
+ * @returns {THREE.BufferGeometry} The rebuilt geometry
+ */
+export function buffersToGeometry(buffers) {
+  const geometry = new THREE.BufferGeometry();
+  for (const [name, { array, itemSize }] of Object.entries(buffers.attributes)) {
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize));
+  }
+  if (buffers.index) {
+    geometry.setIndex(new THREE.BufferAttribute(buffers.index, 1));
+  }
+  if (buffers.userData) {
+    geometry.userData = { ...buffers.userData };
+  }
+  return geometry;
+}
+
+/**
+ * List the underlying ArrayBuffers so postMessage can transfer instead of copy
+ *
+ * @param {{ attributes: Object, index: Uint32Array|null }} buffers - Plain geometry buffers
+ * @returns {ArrayBuffer[]} Transferable list
+ */
+export function getTransferables(buffers) {
+  const transferables = Object.values(buffers.attributes).map(({ array }) => array.buffer);
+  if (buffers.index) {
+    transferables.push(buffers.index.buffer);
+  }
+  return transferables;
+}
@@ -0,0 +1,479 @@
+import * as THREE from 'three';
+
+/**
+ * Inscription geometry - builds the solid that is carved into (or added onto) the bowtie
+ *
+ * 2D shapes in text space (from layoutTextShapes or svgToShapes) are subdivided, placed in
+ * UV space around the click point and mapped onto the UV model's surface, then extruded
+ * along the surface normals with front face, back face and side walls for CSG.
+ *
+ * Plain module (no React/DOM) so the web app (UVTextMapper) and the Node CLI
+ * (scripts/regenerate-stl.js) produce identical geometry.
+ *
+ * mode 'engrave': solid from just above the surface down to -extrudeDepth (subtracted)
+ * mode 'emboss':  solid from just below the surface up to +extrudeDepth (unioned)
+ */
+
+// How far the tool solid pokes out of / sinks into the surface so CSG never hits coplanar faces
+export const SURFACE_CLEARANCE = 0.2;
+
+/**
+ * Build the inscription solid on the surface
+ *
+ * @param {THREE.Shape[]} shapes - Shapes in text space (font-size units)
+ * @param {Object} clickData - Placement (uv and uvTangent are used)
+ * @param {Object} uvGridData - UV grid of the UV model (buildUVGrid)
+ * @param {Object} options
+ * @param {number} options.textScale - Text space -> UV space scale
+ * @param {number} options.extrudeDepth - Depth (engrave) or height (emboss)
+ * @param {number} options.rotation - Degrees, counter-clockwise in UV space
+ * @param {string} options.mode - 'engrave' or 'emboss'
+ * @param {number} options.maxTriangleSize - Maximum edge length in text space before subdivision
+ * @returns {Object} { uvVertices, vertices3D, triangles, geometry } (world space), or
+ *   { isOutOfBounds: true, unmappedCount } if part of the inscription falls outside the UV map
+ */
+export function buildInscriptionGeometry(shapes, clickData, uvGridData, {
+  textScale,
+  extrudeDepth,
+  rotation = 0,
+  mode = 'engrave',
+  maxTriangleSize = 0.5
+}) {
+  const { uv, uvTangent } = clickData;
+
+  // Apply rotation to UV tangent
+  const rotRad = (rotation * Math.PI) / 180;
+  const cosR = Math.cos(rotRad);
+  const sinR = Math.sin(rotRad);
+  const rotatedTangent = {
+    x: uvTangent.x * cosR - uvTangent.y * sinR,
+    y: uvTangent.x * sinR + uvTangent.y * cosR
+  };
+  
+  // UV bitangent (perpendicular to rotated tangent)
+  const uvBitangent = {
+    x: -rotatedTangent.y,
+    y: rotatedTangent.x
+  };
+
+  // Create ShapeGeometry (triangulated 2D mesh - front face)
+  const shapeGeom = new THREE.ShapeGeometry(shapes);
+  const posAttr = shapeGeom.attributes.position;
+  const indexAttr = shapeGeom.index;
+
+  console.log(`   Original ShapeGeometry: ${posAttr.count} vertices, ${indexAttr ? indexAttr.count / 3 : posAttr.count / 3} triangles`);
+
+  // Extract original vertices (in text space, scaled)
+  const originalVertices = [];
+  for (let i = 0; i < posAttr.count; i++) {
+    originalVertices.push({
+      x: posAttr.getX(i) * textScale,
+      y: posAttr.getY(i) * textScale
+    });
+  }
+
+  // Get original indices
+  const originalIndices = [];
+  if (indexAttr) {
+    for (let i = 0; i < indexAttr.count; i++) {
+      originalIndices.push(indexAttr.getX(i));
+    }
+  } else {
+    for (let i = 0; i < posAttr.count; i++) {
+      originalIndices.push(i);
+    }
+  }
+
+  // Subdivide triangles to better conform to curved surfaces
+  const { vertices: subdivVertices, indices: subdivIndices } = subdivideTriangles(
+    originalVertices,
+    originalIndices,
+    maxTriangleSize * textScale // Scale the max size to match text scale
+  );
+
+  console.log(`   After subdivision: ${subdivVertices.length} vertices, ${subdivIndices.length / 3} triangles`);
+
+  // Transform subdivided vertices to UV space (using rotated tangent)
+  const uvVertices = subdivVertices.map(v => ({
+    u: uv.x + v.x * rotatedTangent.x + v.y * uvBitangent.x,
+    v: uv.y + v.x * rotatedTangent.y + v.y * uvBitangent.y
+  }));
+
+  // Use subdivided indices
+  const faceIndices = subdivIndices;
+
+  // Map UV vertices to 3D using cached grid
+  const { vertices3D: faceVertices3D, normals3D: faceNormals3D } = mapUVVerticesToMeshFast(uvVertices, uvGridData);
+
+  const faceMappedCount = faceVertices3D.filter(v => v).length;
+  console.log(`   Mapped ${faceMappedCount}/${uvVertices.length} face vertices`);
+
+  // Check if any vertices are out of UV bounds (not mapped)
+  const unmappedCount = uvVertices.length - faceMappedCount;
+  if (unmappedCount > 0) {
+    console.warn(`⚠️ Text has ${unmappedCount} vertices outside UV bounds!`);
+    return { isOutOfBounds: true, unmappedCount };
+  }
+
+  // Build combined 3D geometry
+  const positions = [];
+  const indices = [];
+  let vertexOffset = 0;
+
+  // Offsets along the surface normal for the top (front) and bottom (back) of the solid
+  const isEmboss = mode === 'emboss';
+  const frontOffset = isEmboss ? extrudeDepth : SURFACE_CLEARANCE;
+  const backOffset = isEmboss ? -SURFACE_CLEARANCE : -extrudeDepth;
+
+  // === FRONT FACE ===
+  const frontVertexStart = vertexOffset;
+  
+  for (let i = 0; i < uvVertices.length; i++) {
+    if (faceVertices3D[i] && faceNormals3D[i]) {
+      const p = faceVertices3D[i].clone().addScaledVector(faceNormals3D[i], frontOffset);
+      positions.push(p.x, p.y, p.z);
+    } else {
+      positions.push(0, 0, 0);
+    }
+  }
+  vertexOffset += uvVertices.length;
+
+  // Front face triangles
+  for (let i = 0; i < faceIndices.length; i += 3) {
+    const i0 = faceIndices[i];
+    const i1 = faceIndices[i + 1];
+    const i2 = faceIndices[i + 2];
+
+    if (faceVertices3D[i0] && faceVertices3D[i1] && faceVertices3D[i2]) {
+      indices.push(frontVertexStart + i0, frontVertexStart + i1, frontVertexStart + i2);
+    }
+  }
+
+  // === BACK FACE ===
+  const backVertexStart = vertexOffset;
+  
+  for (let i = 0; i < uvVertices.length; i++) {
+    if (faceVertices3D[i] && faceNormals3D[i]) {
+      const p = faceVertices3D[i].clone().addScaledVector(faceNormals3D[i], backOffset);
+      positions.push(p.x, p.y, p.z);
+    } else {
+      positions.push(0, 0, 0);
+    }
+  }
+  vertexOffset += uvVertices.length;
+
+  // Back face triangles (reversed winding)
+  for (let i = 0; i < faceIndices.length; i += 3) {
+    const i0 = faceIndices[i];
+    const i1 = faceIndices[i + 1];
+    const i2 = faceIndices[i + 2];
+
+    if (faceVertices3D[i0] && faceVertices3D[i1] && faceVertices3D[i2]) {
+      indices.push(backVertexStart + i0, backVertexStart + i2, backVertexStart + i1);
+    }
+  }
+
+  // === SIDE WALLS ===
+  // Built on the caps' own boundary edges (edges used by one front triangle), so every edge of
+  // the solid is shared by exactly two triangles and Manifold accepts it as a closed solid.
+  // A boundary edge a->b of the front cap is walked b->a by its wall, which keeps the winding
+  // consistent with both caps (holes included, since their boundary runs the other way).
+  const edgeUse = new Map();
+  for (let i = 0; i < faceIndices.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = faceIndices[i + k];
+      const b = faceIndices[i + (k + 1) % 3];
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+      const use = edgeUse.get(key);
+      if (use) {
+        use.count++;
+      } else {
+        edgeUse.set(key, { a, b, count: 1 });
+      }
+    }
+  }
+
+  let wallEdgeCount = 0;
+  for (const { a, b, count } of edgeUse.values()) {
+    if (count !== 1) continue;
+    indices.push(frontVertexStart + b, frontVertexStart + a, backVertexStart + a);
+    indices.push(frontVertexStart + b, backVertexStart + a, backVertexStart + b);
+    wallEdgeCount++;
+  }
+  console.log(`   Side walls: ${wallEdgeCount} boundary edges`);
+
+  // The UV map may mirror text space; keep the solid facing outward (positive volume)
+  if (signedVolume(positions, indices) < 0) {
+    for (let i = 0; i < indices.length; i += 3) {
+      [indices[i + 1], indices[i + 2]] = [indices[i + 2], indices[i + 1]];
+    }
+  }
+
+  console.log(`   Total: ${positions.length / 3} vertices, ${indices.length / 3} triangles`);
+
+  // Create BufferGeometry
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+
+  shapeGeom.dispose();
+
+  // Build triangles array for UV panel
+  const triangles = [];
+  for (let i = 0; i < faceIndices.length; i += 3) {
+    triangles.push([faceIndices[i], faceIndices[i + 1], faceIndices[i + 2]]);
+  }
+
+  return { uvVertices, vertices3D: faceVertices3D, triangles, geometry };
+}
+
+/**
+ * Subdivide triangles that are too large
+ * This helps the mesh conform better to curved surfaces.
+ * Every edge longer than maxEdgeLength is split at its midpoint, shared by both triangles on
+ * the edge, so the result has no T-junctions (the side walls and Manifold rely on that).
+ */
+function subdivideTriangles(vertices, indices, maxEdgeLength) {
+  // Work with arrays we can modify
+  let currentVertices = [...vertices];
+  let currentIndices = [...indices];
+  
+  // Keep subdividing until all triangles are small enough
+  let iterations = 0;
+  const maxIterations = 5; // Prevent infinite loops
+  
+  while (iterations < maxIterations) {
+    // Midpoint vertex of every edge that is too long, by edge key
+    const midpoints = new Map();
+    const getMidpoint = (i0, i1) => {
+      const v0 = currentVertices[i0];
+      const v1 = currentVertices[i1];
+      if (Math.hypot(v1.x - v0.x, v1.y - v0.y) <= maxEdgeLength) return null;
+
+      const key = i0 < i1 ? `${i0},${i1}` : `${i1},${i0}`;
+      if (!midpoints.has(key)) {
+        midpoints.set(key, currentVertices.length);
+        currentVertices.push({ x: (v0.x + v1.x) / 2, y: (v0.y + v1.y) / 2 });
+      }
+      return midpoints.get(key);
+    };
+
+    const newIndices = [];
+    
+    for (let i = 0; i < currentIndices.length; i += 3) {
+      const corners = [currentIndices[i], currentIndices[i + 1], currentIndices[i + 2]];
+      // mids[k] splits the edge from corners[k] to corners[k + 1]
+      const mids = [0, 1, 2].map(k => getMidpoint(corners[k], corners[(k + 1) % 3]));
+      const splitCount = mids.filter(m => m !== null).length;
+
+      if (splitCount === 0) {
+        // Keep triangle as-is
+        newIndices.push(...corners);
+        continue;
+      }
+
+      if (splitCount === 3) {
+        const [a, b, c] = corners;
+        const [mab, mbc, mca] = mids;
+        newIndices.push(a, mab, mca, mab, b, mbc, mca, mbc, c, mab, mbc, mca);
+        continue;
+      }
+
+      // Rotate so the split edges come first: a->b is split, and b->c too if two are split
+      let r = 0;
+      if (splitCount === 1) {
+        r = mids.findIndex(m => m !== null);
+      } else {
+        r = (mids.findIndex(m => m === null) + 1) % 3;
+      }
+      const [a, b, c] = [corners[r], corners[(r + 1) % 3], corners[(r + 2) % 3]];
+      const mab = mids[r];
+
+      if (splitCount === 1) {
+        newIndices.push(a, mab, c, mab, b, c);
+      } else {
+        const mbc = mids[(r + 1) % 3];
+        newIndices.push(mab, b, mbc, a, mab, mbc, a, mbc, c);
+      }
+    }
+    
+    currentIndices = newIndices;
+    
+    if (midpoints.size === 0) break;
+    iterations++;
+  }
+  
+  console.log(`   Subdivision iterations: ${iterations}`);
+  
+  return { vertices: currentVertices, indices: currentIndices };
+}
+
+// Helper: Signed volume of a closed triangle mesh (positive when faces point outward)
+function signedVolume(positions, indices) {
+  let volume = 0;
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = indices[i] * 3, b = indices[i + 1] * 3, c = indices[i + 2] * 3;
+    volume += positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1])
+      - positions[a + 1] * (positions[b] * positions[c + 2] - positions[b + 2] * positions[c])
+      + positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c]);
+  }
+  return volume / 6;
+}
+
+/**
+ * Build a spatial grid index for UV triangles for fast lookup
+ * Positions are stored with each mesh's world matrix, so call updateMatrixWorld() first
+ * when the object isn't part of a rendered scene.
+ *
+ * @param {THREE.Object3D} object - UV-mapped model (all child meshes are indexed)
+ * @param {number} gridSize - Grid cells per UV axis
+ * @returns {{ grid: Object, triangleData: Array<Object>, gridSize: number }} UV grid
+ */
+export function buildUVGrid(object, gridSize = 32) {
+  const grid = {};
+  const triangleData = [];
+  
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+    
+    const geometry = child.geometry;
+    const meshPosAttr = geometry.attributes.position;
+    const meshUVAttr = geometry.attributes.uv;
+    const meshNormalAttr = geometry.attributes.normal;
+
+    if (!meshPosAttr || !meshUVAttr) return;
+
+    const worldMatrix = child.matrixWorld;
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(worldMatrix);
+    const triCount = meshPosAttr.count / 3;
+
+    for (let t = 0; t < triCount; t++) {
+      const i0 = t * 3, i1 = t * 3 + 1, i2 = t * 3 + 2;
+
+      const u0 = meshUVAttr.getX(i0), v0 = meshUVAttr.getY(i0);
+      const u1 = meshUVAttr.getX(i1), v1 = meshUVAttr.getY(i1);
+      const u2 = meshUVAttr.getX(i2), v2 = meshUVAttr.getY(i2);
+
+      // Store triangle data
+      const triIdx = triangleData.length;
+      triangleData.push({
+        uv: [u0, v0, u1, v1, u2, v2],
+        pos: [
+          meshPosAttr.getX(i0), meshPosAttr.getY(i0), meshPosAttr.getZ(i0),
+          meshPosAttr.getX(i1), meshPosAttr.getY(i1), meshPosAttr.getZ(i1),
+          meshPosAttr.getX(i2), meshPosAttr.getY(i2), meshPosAttr.getZ(i2)
+        ],
+        normal: meshNormalAttr ? [
+          meshNormalAttr.getX(i0), meshNormalAttr.getY(i0), meshNormalAttr.getZ(i0),
+          meshNormalAttr.getX(i1), meshNormalAttr.getY(i1), meshNormalAttr.getZ(i1),
+          meshNormalAttr.getX(i2), meshNormalAttr.getY(i2), meshNormalAttr.getZ(i2)
+        ] : null,
+        worldMatrix,
+        normalMatrix
+      });
+
+      // Calculate UV bounding box
+      const minU = Math.min(u0, u1, u2);
+      const maxU = Math.max(u0, u1, u2);
+      const minV = Math.min(v0, v1, v2);
+      const maxV = Math.max(v0, v1, v2);
+
+      // Add to grid cells that this triangle overlaps
+      const cellMinX = Math.floor(minU * gridSize);
+      const cellMaxX = Math.floor(maxU * gridSize);
+      const cellMinY = Math.floor(minV * gridSize);
+      const cellMaxY = Math.floor(maxV * gridSize);
+
+      for (let cx = cellMinX; cx <= cellMaxX; cx++) {
+        for (let cy = cellMinY; cy <= cellMaxY; cy++) {
+          const key = `${cx},${cy}`;
+          if (!grid[key]) grid[key] = [];
+          grid[key].push(triIdx);
+        }
+      }
+    }
+  });
+
+  return { grid, triangleData, gridSize };
+}
+
+/**
+ * Map UV vertices to 3D mesh positions and normals using pre-built spatial grid
+ */
+function mapUVVerticesToMeshFast(uvVertices, uvGridData) {
+  const vertices3D = new Array(uvVertices.length).fill(null);
+  const normals3D = new Array(uvVertices.length).fill(null);
+
+  if (!uvGridData) return { vertices3D, normals3D };
+
+  const { grid, triangleData, gridSize } = uvGridData;
+
+  uvVertices.forEach((uvPoint, idx) => {
+    if (uvPoint.isGap) return;
+
+    // Find grid cell for this UV point
+    const cellX = Math.floor(uvPoint.u * gridSize);
+    const cellY = Math.floor(uvPoint.v * gridSize);
+    const key = `${cellX},${cellY}`;
+    
+    // Get candidate triangles from grid
+    const candidates = grid[key] || [];
+    
+    for (const triIdx of candidates) {
+      const tri = triangleData[triIdx];
+      const [u0, v0, u1, v1, u2, v2] = tri.uv;
+
+      const bary = computeBarycentricFast(uvPoint.u, uvPoint.v, u0, v0, u1, v1, u2, v2);
+      
+      const tolerance = -0.01;
+      if (bary && bary.a >= tolerance && bary.b >= tolerance && bary.c >= tolerance) {
+        const [px0, py0, pz0, px1, py1, pz1, px2, py2, pz2] = tri.pos;
+        
+        const px = px0 * bary.a + px1 * bary.b + px2 * bary.c;
+        const py = py0 * bary.a + py1 * bary.b + py2 * bary.c;
+        const pz = pz0 * bary.a + pz1 * bary.b + pz2 * bary.c;
+
+        const pos3D = new THREE.Vector3(px, py, pz);
+        pos3D.applyMatrix4(tri.worldMatrix);
+        vertices3D[idx] = pos3D;
+
+        if (tri.normal) {
+          const [nx0, ny0, nz0, nx1, ny1, nz1, nx2, ny2, nz2] = tri.normal;
+          const nx = nx0 * bary.a + nx1 * bary.b + nx2 * bary.c;
+          const ny = ny0 * bary.a + ny1 * bary.b + ny2 * bary.c;
+          const nz = nz0 * bary.a + nz1 * bary.b + nz2 * bary.c;
+          
+          const normal = new THREE.Vector3(nx, ny, nz);
+          normal.applyMatrix3(tri.normalMatrix).normalize();
+          normals3D[idx] = normal;
+        }
+        break;
+      }
+    }
+  });
+
+  return { vertices3D, normals3D };
+}
+
+function computeBarycentricFast(px, py, ax, ay, bx, by, cx, cy) {
+  const v0x = bx - ax, v0y = by - ay;
+  const v1x = cx - ax, v1y = cy - ay;
+  const v2x = px - ax, v2y = py - ay;
+
+  const dot00 = v0x * v0x + v0y * v0y;
+  const dot01 = v0x * v1x + v0y * v1y;
+  const dot02 = v0x * v2x + v0y * v2y;
+  const dot11 = v1x * v1x + v1y * v1y;
+  const dot12 = v1x * v2x + v1y * v2y;
+
+  const denom = dot00 * dot11 - dot01 * dot01;
+  const maxDot = Math.max(dot00, dot11);
+  if (Math.abs(denom) < maxDot * 1e-10 || maxDot < 1e-20) return null;
+
+  const invDenom = 1 / denom;
+  const u = (dot11 * dot02 - dot01 * dot12) * invDenom;
+  const v = (dot00 * dot12 - dot01 * dot02) * invDenom;
+
+  return { a: 1 - u - v, b: u, c: v };
+}
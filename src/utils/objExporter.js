@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+import { zipSync, strToU8 } from 'three/examples/jsm/libs/fflate.module.js';
+import { getUnitScale } from './stlExporter.js';
+
+/**
+ * OBJ export - the bowtie with its UVs plus inscription tools and the clip as named groups,
+ * for texturing and checking placements in Blender
+ *
+ * Downloaded as a zip with the OBJ and its MTL side by side (the OBJ references the MTL by name).
+ * Each part is written as its own object/group ("o" + "g") with its own material, so it can be
+ * hidden or selected on its own after import. Coordinates are in millimetres.
+ */
+
+// Helper: OBJ/MTL names can't contain whitespace
+const toOBJName = (name) => name.trim().replace(/\s+/g, '_').replace(/[^\w.-]/g, '') || 'Part';
+
+// Helper: Format a number (trims float noise)
+const formatNumber = (value) => String(Number(value.toFixed(6)));
+
+// Helper: MTL color line (sRGB, like the hex colors in the app) from a THREE.Color (or fallback)
+const formatColor = (color) => {
+  const { r, g, b } = color ? color.getRGB({}, THREE.SRGBColorSpace) : { r: 0.8, g: 0.8, b: 0.8 };
+  return [r, g, b].map(formatNumber).join(' ');
+};
+
+/**
+ * Build the MTL file for the parts' materials
+ *
+ * @param {Array<{ materialName: string, material?: THREE.Material }>} materials - One entry per material name
+ * @returns {string} MTL file
+ */
+function buildMTL(materials) {
+  const lines = ['# Botai Inscription materials'];
+  for (const { materialName, material } of materials) {
+    lines.push(
+      '',
+      `newmtl ${materialName}`,
+      `Ka ${formatColor(material?.color)}`,
+      `Kd ${formatColor(material?.color)}`,
+      'Ks 0 0 0',
+      `d ${formatNumber(material?.opacity ?? 1)}`,
+      'illum 1'
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build an OBJ and its MTL
+ *
+ * @param {Array<{ name: string, geometry: THREE.BufferGeometry, material?: THREE.Material }>} parts -
+ *   Meshes in world space; UVs and normals are written when the geometry has them
+ * @param {Object} options
+ * @param {string} options.mtlFilename - Name the OBJ uses to reference the MTL
+ * @param {number} options.unitScale - Millimetres per model unit
+ * @returns {{ obj: string, mtl: string }}
+ */
+export function partsToOBJ(parts, { mtlFilename = 'model.mtl', unitScale = getUnitScale() } = {}) {
+  const lines = ['# Botai Inscription OBJ (units: mm)', `mtllib ${mtlFilename}`];
+  const materials = [];
+  const usedNames = new Set();
+
+  // OBJ indices are 1-based and global across the file
+  let vertexOffset = 1;
+  let uvOffset = 1;
+  let normalOffset = 1;
+
+  for (const { name, geometry, material } of parts) {
+    // Keep names unique so each part imports as its own object
+    let partName = toOBJName(name);
+    for (let n = 2; usedNames.has(partName); n++) {
+      partName = `${toOBJName(name)}_${n}`;
+    }
+    usedNames.add(partName);
+    materials.push({ materialName: partName, material });
+
+    const positions = geometry.attributes.position;
+    const uvs = geometry.attributes.uv;
+    const normals = geometry.attributes.normal;
+
+    lines.push('', `o ${partName}`, `g ${partName}`, `usemtl ${partName}`);
+
+    for (let i = 0; i < positions.count; i++) {
+      lines.push(`v ${formatNumber(positions.getX(i) * unitScale)} ${formatNumber(positions.getY(i) * unitScale)} ${formatNumber(positions.getZ(i) * unitScale)}`);
+    }
+    if (uvs) {
+      for (let i = 0; i < uvs.count; i++) {
+        lines.push(`vt ${formatNumber(uvs.getX(i))} ${formatNumber(uvs.getY(i))}`);
+      }
+    }
+    if (normals) {
+      for (let i = 0; i < normals.count; i++) {
+        lines.push(`vn ${formatNumber(normals.getX(i))} ${formatNumber(normals.getY(i))} ${formatNumber(normals.getZ(i))}`);
+      }
+    }
+
+    // Helper: Face corner as v, v/vt, v//vn or v/vt/vn
+    const corner = (i) => {
+      const v = vertexOffset + i;
+      if (uvs && normals) return `${v}/${uvOffset + i}/${normalOffset + i}`;
+      if (uvs) return `${v}/${uvOffset + i}`;
+      if (normals) return `${v}//${normalOffset + i}`;
+      return String(v);
+    };
+
+    const index = geometry.index;
+    const triangleCount = (index ? index.count : positions.count) / 3;
+    for (let t = 0; t < triangleCount; t++) {
+      const [a, b, c] = index
+        ? [index.getX(t * 3), index.getX(t * 3 + 1), index.getX(t * 3 + 2)]
+        : [t * 3, t * 3 + 1, t * 3 + 2];
+      lines.push(`f ${corner(a)} ${corner(b)} ${corner(c)}`);
+    }
+
+    vertexOffset += positions.count;
+    if (uvs) uvOffset += uvs.count;
+    if (normals) normalOffset += normals.count;
+  }
+
+  return { obj: lines.join('\n') + '\n', mtl: buildMTL(materials) };
+}
+
+/**
+ * Download parts as a zip with the OBJ and MTL
+ *
+ * @param {Array} parts - See partsToOBJ
+ * @param {string} filename - Zip file name; the OBJ and MTL inside share its base name
+ * @param {Object} options - See partsToOBJ
+ */
+export function downloadOBJ(parts, filename = 'model.zip', options = {}) {
+  if (!parts || parts.length === 0) {
+    throw new Error('No geometry provided');
+  }
+
+  const baseName = filename.replace(/\.[^/.]+$/, '');
+  console.log(`📥 Generating OBJ for download: ${baseName}.obj...`);
+  const { obj, mtl } = partsToOBJ(parts, { ...options, mtlFilename: `${baseName}.mtl` });
+  const zip = zipSync({
+    [`${baseName}.obj`]: strToU8(obj),
+    [`${baseName}.mtl`]: strToU8(mtl)
+  }, { level: 6 });
+
+  const blob = new Blob([zip], { type: 'application/zip' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${baseName}.zip`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  console.log('✅ Download initiated!');
+}
@@ -0,0 +1,299 @@
+import { sha256Hex } from './contentHash.js';
+
+/**
+ * Order storage - where order JSON and production files are uploaded
+ *
+ * Every backend is an adapter with the same shape:
+ *   { name, upload(content, filename, { mimeType }) => Promise<StoredFile> }
+ * Uploads are checked against the SHA-256 of the content wherever the backend can confirm it
+ * (Apps Script always does; http only if the endpoint reports or enforces the checksum, see
+ * createHttpStorage). StoredFile.verified says whether this upload was checked.
+ * Failed attempts are retried with exponential backoff (1s, 2s, 4s).
+ *
+ * The backend is picked by configuration (Vite env vars, see .env.example):
+ *   VITE_STORAGE_BACKEND       apps-script (default) | http | memory
+ *   VITE_STORAGE_URL           Apps Script web app URL, or base URL for http
+ *   VITE_STORAGE_HTTP_METHOD   PUT (default, <url>/<filename>) or POST (<url>?filename=<filename>)
+ *
+ * @typedef {Object} StoredFile
+ * @property {string} backend - Adapter name
+ * @property {string} filename - Name the file was stored under
+ * @property {string} url - Where the stored file can be found
+ * @property {string} sha256 - SHA-256 of the content (hex)
+ * @property {number} size - Bytes sent
+ * @property {boolean} verified - Whether the backend confirmed it stored exactly these bytes
+ */
+
+// Drive upload script (see GoogleAppsScript.gs), used when no URL is configured
+const DEFAULT_APPS_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbwYO_YrcxyV8lcPSbGhpBwKRIA2StRQDaZa2xWawsPwKsf_51IvnBDrg9oyyrc147WlNw/exec';
+
+const DEFAULT_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 1000;  // 1s, 2s, 4s between attempts
+const ATTEMPT_TIMEOUT_MS = 60000;
+
+/**
+ * Error thrown when a file couldn't be uploaded and verified after every attempt
+ */
+export class UploadError extends Error {
+  constructor(filename, attempts, cause) {
+    super(`Upload of ${filename} failed after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${cause.message}`);
+    this.name = 'UploadError';
+    this.filename = filename;
+    this.cause = cause;
+  }
+}
+
+// Helper: Bytes as base64 (chunked so large STLs don't overflow String.fromCharCode)
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+// Helper: Hex digest as base64 (the form S3 checksum headers use)
+const hexToBase64 = (hex) => bytesToBase64(new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16))));
+
+// Helper: Content as bytes (strings as UTF-8)
+function toBytes(content) {
+  if (typeof content === 'string') return new TextEncoder().encode(content);
+  if (content instanceof ArrayBuffer) return new Uint8Array(content);
+  if (ArrayBuffer.isView(content)) return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+  throw new Error('Upload content must be a string, ArrayBuffer or typed array');
+}
+
+// Helper: fetch that gives up after ATTEMPT_TIMEOUT_MS
+async function fetchWithTimeout(url, options) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), ATTEMPT_TIMEOUT_MS);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`No response within ${ATTEMPT_TIMEOUT_MS / 1000}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Helper: Reject a stored file whose checksum or size doesn't match what was sent
+function verifyStored(stored, expected) {
+  if (stored.sha256 !== expected.sha256 || stored.size !== expected.size) {
+    throw new Error(`Checksum mismatch (sent ${expected.size} bytes ${expected.sha256}, stored ${stored.size} bytes ${stored.sha256})`);
+  }
+}
+
+/**
+ * Wrap an adapter's single attempt with hashing, verification logging and retries
+ *
+ * @param {string} name - Adapter name
+ * @param {Function} attemptUpload - (bytes, filename, { mimeType, expected }) => Promise<StoredFile>
+ *   Must throw if the backend reports a different checksum or size; resolves with verified: false
+ *   when the backend gave no way to check
+ * @param {number} attempts - Attempts before giving up
+ * @returns {{ name: string, upload: Function }} Storage adapter
+ */
+function createAdapter(name, attemptUpload, attempts = DEFAULT_ATTEMPTS) {
+  return {
+    name,
+    async upload(content, filename, { mimeType = 'application/octet-stream' } = {}) {
+      const bytes = toBytes(content);
+      const expected = { sha256: await sha256Hex(bytes), size: bytes.length };
+
+      let lastError = null;
+      for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+          const stored = await attemptUpload(bytes, filename, { mimeType, expected });
+          if (stored.verified) {
+            console.log(`📤 Uploaded ${filename} to ${name} (${expected.size} bytes, sha256 verified)`);
+          } else {
+            console.warn(`⚠️ Uploaded ${filename} to ${name} (${expected.size} bytes, unverified: the endpoint did not confirm the checksum)`);
+          }
+          return { backend: name, filename, ...stored };
+        } catch (error) {
+          lastError = error;
+          console.warn(`⚠️ Upload of ${filename} to ${name} failed (attempt ${attempt}/${attempts}): ${error.message}`);
+          if (attempt < attempts) {
+            await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)));
+          }
+        }
+      }
+
+      throw new UploadError(filename, attempts, lastError);
+    }
+  };
+}
+
+/**
+ * Google Drive through the Apps Script web app (see GoogleAppsScript.gs)
+ *
+ * The file is sent base64-encoded in a JSON body with its SHA-256. The body is posted as
+ * text/plain so the browser sends a "simple" request: Apps Script can't answer CORS preflights,
+ * but its JSON responses are readable cross-origin. The script hashes what it stored and
+ * returns the checksum.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Web app URL (.../exec)
+ * @param {number} options.attempts - Attempts before giving up
+ */
+export function createAppsScriptStorage({ url = DEFAULT_APPS_SCRIPT_URL, attempts } = {}) {
+  return createAdapter('apps-script', async (bytes, filename, { mimeType, expected }) => {
+    const response = await fetchWithTimeout(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+      body: JSON.stringify({ filename, mimeType, sha256: expected.sha256, content: bytesToBase64(bytes) })
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    let result;
+    try {
+      result = await response.json();
+    } catch {
+      throw new Error('Upload script did not return JSON (is it deployed with access for "Anyone"?)');
+    }
+    if (!result.success) {
+      throw new Error(result.error || 'Upload script reported a failure');
+    }
+
+    verifyStored(result, expected);
+    return { url: result.fileUrl, sha256: result.sha256, size: result.size, fileId: result.fileId, verified: true };
+  }, attempts);
+}
+
+/**
+ * Plain HTTP endpoint or S3-compatible bucket
+ *
+ * PUT sends the raw file to <url>/<filename> (an S3 bucket or prefix URL works as-is); POST sends
+ * it to <url>?filename=<filename>. The SHA-256 goes along as x-amz-checksum-sha256.
+ * An upload is only verified if the endpoint confirms the checksum:
+ *   - JSON { sha256, size } in the response (like scripts/storage-server.js), or
+ *   - the x-amz-checksum-sha256 response header, which S3 and compatible stores send back after
+ *     checking the request header (the bucket's CORS rules must expose it)
+ * Otherwise the file is accepted as stored with verified: false - a plain endpoint that ignores
+ * the header gives no guarantee the bytes arrived intact.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Base URL
+ * @param {string} options.method - 'PUT' or 'POST'
+ * @param {Object} options.headers - Extra request headers
+ * @param {number} options.attempts - Attempts before giving up
+ */
+export function createHttpStorage({ url, method = 'PUT', headers = {}, attempts } = {}) {
+  if (!url) {
+    throw new Error('HTTP storage needs a URL (VITE_STORAGE_URL)');
+  }
+  method = method.toUpperCase();
+  if (method !== 'PUT' && method !== 'POST') {
+    throw new Error(`Unsupported HTTP storage method: ${method} (use PUT or POST)`);
+  }
+
+  return createAdapter('http', async (bytes, filename, { mimeType, expected }) => {
+    const target = method === 'PUT'
+      ? `${url.replace(/\/+$/, '')}/${encodeURIComponent(filename)}`
+      : `${url}${url.includes('?') ? '&' : '?'}filename=${encodeURIComponent(filename)}`;
+
+    const response = await fetchWithTimeout(target, {
+      method,
+      headers: {
+        'Content-Type': mimeType,
+        'x-amz-checksum-sha256': hexToBase64(expected.sha256),
+        ...headers
+      },
+      body: bytes
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    const result = (response.headers.get('Content-Type') || '').includes('application/json')
+      ? await response.json()
+      : {};
+    const echoedChecksum = response.headers.get('x-amz-checksum-sha256');
+
+    let verified = false;
+    if (result.sha256 !== undefined) {
+      verifyStored(result, expected);
+      verified = true;
+    } else if (echoedChecksum) {
+      if (echoedChecksum !== hexToBase64(expected.sha256)) {
+        throw new Error(`Checksum mismatch (sent ${hexToBase64(expected.sha256)}, stored ${echoedChecksum})`);
+      }
+      verified = true;
+    }
+    return { url: result.url || target.split('?')[0], sha256: expected.sha256, size: expected.size, verified };
+  }, attempts);
+}
+
+/**
+ * In-memory stand-in for development: files are kept in the page (adapter.files) and lost on reload
+ */
+export function createMemoryStorage() {
+  const files = new Map();
+  const adapter = createAdapter('memory', async (bytes, filename, { mimeType, expected }) => {
+    files.set(filename, { bytes: bytes.slice(), mimeType, sha256: expected.sha256, storedAt: new Date().toISOString() });
+    return { url: `memory://${filename}`, sha256: expected.sha256, size: expected.size, verified: true };
+  }, 1);
+  adapter.files = files;
+  return adapter;
+}
+
+/**
+ * Create the adapter for a configuration
+ *
+ * @param {Object} config
+ * @param {string} config.backend - 'apps-script', 'http' or 'memory'
+ * @param {string} config.url - Backend URL (apps-script falls back to the Drive upload script)
+ * @param {string} config.method - HTTP method for the http backend
+ * @returns {{ name: string, upload: Function }} Storage adapter
+ */
+export function createStorage({ backend = 'apps-script', url, method } = {}) {
+  switch (backend) {
+    case 'apps-script':
+      return createAppsScriptStorage({ url });
+    case 'http':
+      return createHttpStorage({ url, method });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown storage backend: ${backend} (use apps-script, http or memory)`);
+  }
+}
+
+// Storage configured for this build (created on first use)
+let configuredStorage = null;
+
+/**
+ * The storage adapter picked by the VITE_STORAGE_* settings
+ */
+export function getStorage() {
+  if (!configuredStorage) {
+    // import.meta.env only exists in Vite builds; Node scripts get the default backend
+    const env = import.meta.env || {};
+    configuredStorage = createStorage({
+      backend: env.VITE_STORAGE_BACKEND || undefined,
+      url: env.VITE_STORAGE_URL || undefined,
+      method: env.VITE_STORAGE_HTTP_METHOD || undefined
+    });
+  }
+  return configuredStorage;
+}
+
+/**
+ * Upload an order file to the configured storage and verify it
+ *
+ * @param {string|ArrayBuffer|Uint8Array} content - File content (strings are stored as UTF-8)
+ * @param {string} filename - Name to store the file under
+ * @param {Object} options
+ * @param {string} options.mimeType - MIME type stored with the file
+ * @returns {Promise<StoredFile>}
+ * @throws {UploadError} If every attempt failed
+ */
+export function uploadOrderFile(content, filename, options = {}) {
+  return getStorage().upload(content, filename, options);
+}
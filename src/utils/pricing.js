@@ -0,0 +1,28 @@
+// Pricing: base price plus a fee per inscribed character
+export const BASE_PRICE = 88;
+export const PRICE_PER_CHARACTER = 1;
+export const CURRENCY = 'USD';
+
+// Helper: Count billable characters (line breaks and SVG logos are not charged per character)
+export function countCharacters(inscriptions) {
+  return inscriptions
+    .filter(i => i.type !== 'svg')
+    .reduce((sum, i) => sum + (i.text?.replace(/\n/g, '').length || 0), 0);
+}
+
+// Helper: Calculate the order price for a list of inscriptions
+export function calculatePrice(inscriptions) {
+  return BASE_PRICE + countCharacters(inscriptions) * PRICE_PER_CHARACTER;
+}
+
+// Helper: Price with its inputs, as recorded in design/order JSON
+export function getPriceBreakdown(inscriptions) {
+  const characters = countCharacters(inscriptions);
+  return {
+    currency: CURRENCY,
+    basePrice: BASE_PRICE,
+    pricePerCharacter: PRICE_PER_CHARACTER,
+    characters,
+    total: BASE_PRICE + characters * PRICE_PER_CHARACTER
+  };
+}
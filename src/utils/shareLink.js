@@ -0,0 +1,93 @@
+import { deflateSync, inflateSync, strToU8, strFromU8 } from 'three/examples/jsm/libs/fflate.module.js';
+
+/**
+ * Shareable design links
+ * The design JSON (see designSerializer.serializeDesign) is deflated and base64url-encoded
+ * into the URL fragment: https://.../?mode=dev#design=<encoded>
+ * The fragment never reaches a server, so links work with static hosting and stay private.
+ *
+ * Uploaded font data is too large for a link; those fonts are referenced by name and hash only,
+ * so the recipient sees the default font unless they upload the same font.
+ */
+
+export const SHARE_PARAM = 'design';
+
+// Helper: Bytes -> base64url (no padding)
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Helper: base64url -> bytes
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Encode a design for a link
+ *
+ * @param {Object} design - Serialized design
+ * @returns {{ encoded: string, omittedFonts: string[] }} URL-safe string and the names of
+ *   uploaded fonts whose data was left out
+ */
+export function encodeDesign(design) {
+  const omittedFonts = [];
+  const fonts = {};
+
+  for (const [id, font] of Object.entries(design.fonts || {})) {
+    if (font.data) {
+      omittedFonts.push(font.name || id);
+      fonts[id] = { name: font.name, hash: font.hash };
+    } else {
+      fonts[id] = font;
+    }
+  }
+
+  const json = JSON.stringify({ ...design, fonts });
+  return { encoded: toBase64Url(deflateSync(strToU8(json), { level: 9 })), omittedFonts };
+}
+
+/**
+ * Decode a design from a link
+ *
+ * @param {string} encoded - String from encodeDesign
+ * @returns {Object} Serialized design
+ * @throws {Error} If the link is truncated or damaged
+ */
+export function decodeDesign(encoded) {
+  try {
+    return JSON.parse(strFromU8(inflateSync(fromBase64Url(encoded))));
+  } catch {
+    throw new Error('This design link is damaged or incomplete');
+  }
+}
+
+/**
+ * Build a link that opens a design
+ * Keeps the page's query string (e.g. ?mode=dev) and replaces any fragment.
+ *
+ * @param {Object} design - Serialized design
+ * @param {string} pageUrl - Page to link to (defaults to the current page)
+ * @returns {{ url: string, omittedFonts: string[] }} Link and fonts left out of it
+ */
+export function createShareUrl(design, pageUrl = window.location.href) {
+  const { encoded, omittedFonts } = encodeDesign(design);
+  const url = new URL(pageUrl);
+  url.hash = `${SHARE_PARAM}=${encoded}`;
+  return { url: url.toString(), omittedFonts };
+}
+
+/**
+ * Read the encoded design from a URL fragment
+ *
+ * @param {string} hash - location.hash (defaults to the current page's)
+ * @returns {string|null} Encoded design, or null if the URL has none
+ */
+export function readSharedDesign(hash = window.location.hash) {
+  return new URLSearchParams(hash.replace(/^#/, '')).get(SHARE_PARAM);
+}
@@ -1,68 +1,135 @@
-// Helper: Convert Three.js geometry to STL format (ASCII)
-export function geometryToSTL(geometry) {
-  let stlContent = 'solid exported\n';
-  
-  const positions = geometry.attributes.position.array;
-  
-  // Helper to get vertex
-  const getVertex = (index) => {
-    return {
-      x: positions[index * 3],
-      y: positions[index * 3 + 1],
-      z: positions[index * 3 + 2]
-    };
-  };
-
-  // Helper to calculate normal
-  const calculateNormal = (v1, v2, v3) => {
-    const u = { x: v2.x - v1.x, y: v2.y - v1.y, z: v2.z - v1.z };
-    const v = { x: v3.x - v1.x, y: v3.y - v1.y, z: v3.z - v1.z };
-    const n = {
-      x: u.y * v.z - u.z * v.y,
-      y: u.z * v.x - u.x * v.z,
-      z: u.x * v.y - u.y * v.x
-    };
-    const len = Math.sqrt(n.x * n.x + n.y * n.y + n.z * n.z);
-    if (len === 0) return { x: 0, y: 0, z: 0 };
-    return { x: n.x / len, y: n.y / len, z: n.z / len };
-  };
-
-  const processFace = (a, b, c) => {
-    const v1 = getVertex(a);
-    const v2 = getVertex(b);
-    const v3 = getVertex(c);
-    const n = calculateNormal(v1, v2, v3);
-    
-    stlContent += `facet normal ${n.x} ${n.y} ${n.z}\n`;
-    stlContent += '  outer loop\n';
-    stlContent += `    vertex ${v1.x} ${v1.y} ${v1.z}\n`;
-    stlContent += `    vertex ${v2.x} ${v2.y} ${v2.z}\n`;
-    stlContent += `    vertex ${v3.x} ${v3.y} ${v3.z}\n`;
-    stlContent += '  endloop\n';
-    stlContent += 'endfacet\n';
-  };
-  
-  // Handle indexed vs non-indexed geometry
+import { uploadOrderFile } from './orderStorage.js';
+
+// Millimetres per unit, for unit scaling on export (STL has no units; printers assume mm)
+export const UNIT_TO_MM = { mm: 1, cm: 10, m: 1000, in: 25.4 };
+
+// Units the bowtie models are built in (Morpheus is ~110 units wide = 110 mm)
+export const MODEL_UNITS = 'mm';
+
+// Helper: Scale from model units to millimetres
+export function getUnitScale(units = MODEL_UNITS) {
+  const scale = UNIT_TO_MM[units];
+  if (!scale) {
+    throw new Error(`Unknown units: ${units} (use ${Object.keys(UNIT_TO_MM).join(', ')})`);
+  }
+  return scale;
+}
+
+// Helper: Call back with the vertex indices of every triangle (indexed or not)
+function forEachTriangle(geometry, callback) {
   if (geometry.index) {
-    // Indexed geometry
     const indices = geometry.index.array;
     for (let i = 0; i < indices.length; i += 3) {
-      processFace(indices[i], indices[i+1], indices[i+2]);
+      callback(indices[i], indices[i + 1], indices[i + 2]);
     }
   } else {
     // Non-indexed geometry - vertices are in triangle order
-    const numVertices = positions.length / 3;
+    const numVertices = geometry.attributes.position.count;
     for (let i = 0; i < numVertices; i += 3) {
-      processFace(i, i+1, i+2);
+      callback(i, i + 1, i + 2);
     }
   }
-  
-  stlContent += 'endsolid exported\n';
-  return stlContent;
 }
 
-// Helper: Download geometry as STL file locally
-export function downloadSTL(geometry, filename = 'model.stl') {
+// Helper: Number of triangles in a geometry
+const getTriangleCount = (geometry) => (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+
+// Helper: Unit normal of a triangle given as flat [x0, y0, z0, x1, ..., z2]
+function calculateNormal(v) {
+  const ux = v[3] - v[0], uy = v[4] - v[1], uz = v[5] - v[2];
+  const wx = v[6] - v[0], wy = v[7] - v[1], wz = v[8] - v[2];
+  const nx = uy * wz - uz * wy;
+  const ny = uz * wx - ux * wz;
+  const nz = ux * wy - uy * wx;
+  const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+  if (len === 0) return [0, 0, 0];
+  return [nx / len, ny / len, nz / len];
+}
+
+// Helper: Read a triangle's vertices in millimetres into a reusable array
+function readTriangle(positions, a, b, c, unitScale, out) {
+  [a, b, c].forEach((index, corner) => {
+    out[corner * 3] = positions[index * 3] * unitScale;
+    out[corner * 3 + 1] = positions[index * 3 + 1] * unitScale;
+    out[corner * 3 + 2] = positions[index * 3 + 2] * unitScale;
+  });
+  return out;
+}
+
+// Helper: Convert Three.js geometry to STL format (ASCII)
+export function geometryToSTL(geometry, { unitScale = getUnitScale() } = {}) {
+  const positions = geometry.attributes.position.array;
+  const lines = ['solid exported'];
+  const v = new Array(9);
+
+  forEachTriangle(geometry, (a, b, c) => {
+    readTriangle(positions, a, b, c, unitScale, v);
+    const n = calculateNormal(v);
+
+    lines.push(
+      `facet normal ${n[0]} ${n[1]} ${n[2]}`,
+      '  outer loop',
+      `    vertex ${v[0]} ${v[1]} ${v[2]}`,
+      `    vertex ${v[3]} ${v[4]} ${v[5]}`,
+      `    vertex ${v[6]} ${v[7]} ${v[8]}`,
+      '  endloop',
+      'endfacet'
+    );
+  });
+
+  lines.push('endsolid exported', '');
+  return lines.join('\n');
+}
+
+// Helper: Convert Three.js geometry to binary STL
+// Layout: 80-byte header, uint32 triangle count, then per triangle 12 float32 (normal, 3 vertices) + uint16 attribute
+export function geometryToBinarySTL(geometry, { unitScale = getUnitScale() } = {}) {
+  const positions = geometry.attributes.position.array;
+  const triangleCount = getTriangleCount(geometry);
+  const buffer = new ArrayBuffer(84 + triangleCount * 50);
+  const view = new DataView(buffer);
+
+  // Header text is informational only (must not start with "solid")
+  const header = 'Botai binary STL, units: mm';
+  for (let i = 0; i < header.length; i++) {
+    view.setUint8(i, header.charCodeAt(i));
+  }
+  view.setUint32(80, triangleCount, true);
+
+  const v = new Array(9);
+  let offset = 84;
+
+  forEachTriangle(geometry, (a, b, c) => {
+    readTriangle(positions, a, b, c, unitScale, v);
+    const n = calculateNormal(v);
+
+    for (const value of n) {
+      view.setFloat32(offset, value, true);
+      offset += 4;
+    }
+    for (const value of v) {
+      view.setFloat32(offset, value, true);
+      offset += 4;
+    }
+    view.setUint16(offset, 0, true);
+    offset += 2;
+  });
+
+  return buffer;
+}
+
+// Helper: STL file contents in the given format ('binary' or 'ascii')
+export function geometryToSTLFile(geometry, { format = 'binary', unitScale = getUnitScale() } = {}) {
+  if (format !== 'binary' && format !== 'ascii') {
+    throw new Error(`Unknown STL format: ${format}`);
+  }
+  return format === 'binary'
+    ? geometryToBinarySTL(geometry, { unitScale })
+    : geometryToSTL(geometry, { unitScale });
+}
+
+// Helper: Download geometry as STL file locally (binary, in millimetres, by default)
+export function downloadSTL(geometry, filename = 'model.stl', { format = 'binary', unitScale = getUnitScale() } = {}) {
   if (!geometry) {
     throw new Error('No geometry provided');
   }
@@ -72,8 +139,8 @@ export function downloadSTL(geometry, filename = 'model.stl') {
     filename = filename.replace(/\.[^/.]+$/, "") + ".stl";
   }
 
-  console.log(`📥 Generating STL for download: ${filename}...`);
-  const stlContent = geometryToSTL(geometry);
+  console.log(`📥 Generating ${format} STL for download: ${filename}...`);
+  const stlContent = geometryToSTLFile(geometry, { format, unitScale });
   
   // Create blob and download link
   const blob = new Blob([stlContent], { type: 'application/octet-stream' });
@@ -92,24 +159,8 @@ export function downloadSTL(geometry, filename = 'model.stl') {
   console.log('✅ Download initiated!');
 }
 
-// Helper: Upload file to Google Drive
-export async function uploadToGoogleDrive(content, filename) {
-  const url = `https://script.google.com/macros/s/AKfycbwYO_YrcxyV8lcPSbGhpBwKRIA2StRQDaZa2xWawsPwKsf_51IvnBDrg9oyyrc147WlNw/exec?filename=${encodeURIComponent(filename)}`;
-  
-  const response = await fetch(url, {
-    method: 'POST',
-    mode: 'no-cors', // Google Apps Script requires this for cross-origin requests
-    body: content
-  });
-  
-  // With no-cors mode, we can't read the response, but the upload still happens
-  // The response will be opaque, so we just assume success if no error was thrown
-  console.log('📤 Upload request sent (no-cors mode)');
-  return { success: true, message: 'Upload request sent' };
-}
-
-// Helper: Export and upload geometry in one call
-export async function exportAndUploadGeometry(geometry, filename) {
+// Helper: Export and upload geometry in one call (binary, in millimetres, by default)
+export async function exportAndUploadGeometry(geometry, filename, { format = 'binary', unitScale = getUnitScale() } = {}) {
   if (!geometry) {
     throw new Error('No geometry provided');
   }
@@ -119,14 +170,14 @@ export async function exportAndUploadGeometry(geometry, filename) {
     filename = filename.replace(/\.[^/.]+$/, "") + ".stl";
   }
 
-  console.log(`📤 Exporting ${filename}...`);
-  const stlContent = geometryToSTL(geometry);
+  console.log(`📤 Exporting ${filename} (${format})...`);
+  const stlContent = geometryToSTLFile(geometry, { format, unitScale });
   
-  console.log(`📤 Uploading to Google Drive...`);
-  const result = await uploadToGoogleDrive(stlContent, filename);
+  console.log(`📤 Uploading to order storage...`);
+  const result = await uploadOrderFile(stlContent, filename, { mimeType: 'model/stl' });
   
-  console.log('✅ Upload success!', result);
-  console.log('📁 File URL:', result.fileUrl);
+  console.log('✅ Upload verified!', result);
+  console.log('📁 File URL:', result.url);
   
   return result;
 }
@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+import { SVGLoader } from 'three/examples/jsm/loaders/SVGLoader.js';
+
+/**
+ * SVG logo shapes - turns an SVG document into 2D shapes in text space
+ * The result is interchangeable with layoutTextShapes(), so logos go through the
+ * same subdivision, UV mapping, side-wall extrusion and CSG as text.
+ *
+ * Only filled paths are used (strokes have no area to carve). The logo is flipped
+ * to Y-up, centered on the origin and scaled so its larger side is SVG_LOGO_SIZE.
+ */
+
+// Matches the curve sampling used for text shapes
+const CURVE_SEGMENTS = 12;
+
+// Size of the logo's larger side in text space (font-size units, so textScale applies as for text)
+export const SVG_LOGO_SIZE = 2;
+
+/**
+ * Check whether an SVG path is drawn with a fill
+ */
+function isFilledPath(path) {
+  const fill = path.userData?.style?.fill;
+  return fill !== undefined && fill !== 'none' && fill !== 'transparent';
+}
+
+/**
+ * Orient a contour: counter-clockwise for outlines, clockwise for holes
+ * UVTextMapper relies on this winding to build outward-facing side walls.
+ */
+function orientContour(points, clockwise) {
+  return THREE.ShapeUtils.isClockWise(points) === clockwise ? points : points.slice().reverse();
+}
+
+/**
+ * Parse SVG source into shapes (font size 1 space, origin at the click point)
+ *
+ * @param {string} svgSource - SVG document text
+ * @returns {THREE.Shape[]} Shapes in text space (empty if the SVG has no filled paths)
+ */
+export function svgToShapes(svgSource) {
+  const { paths } = new SVGLoader().parse(svgSource);
+
+  // Sample every filled path into polygon contours
+  const contours = [];
+  paths.filter(isFilledPath).forEach(path => {
+    SVGLoader.createShapes(path).forEach(shape => {
+      const { shape: outline, holes } = shape.extractPoints(CURVE_SEGMENTS);
+      if (outline.length >= 3) {
+        contours.push({ outline, holes: holes.filter(hole => hole.length >= 3) });
+      }
+    });
+  });
+
+  if (contours.length === 0) return [];
+
+  // Bounds of all outlines (SVG coordinates, Y down)
+  const bounds = new THREE.Box2();
+  contours.forEach(({ outline }) => outline.forEach(pt => bounds.expandByPoint(pt)));
+  const size = bounds.getSize(new THREE.Vector2());
+  const center = bounds.getCenter(new THREE.Vector2());
+  const scale = SVG_LOGO_SIZE / Math.max(size.x, size.y, 1e-6);
+
+  // Center, scale and flip to Y-up
+  const transformPoint = (pt) => new THREE.Vector2(
+    (pt.x - center.x) * scale,
+    -(pt.y - center.y) * scale
+  );
+
+  return contours.map(({ outline, holes }) => {
+    const shape = new THREE.Shape(orientContour(outline.map(transformPoint), false));
+    shape.holes = holes.map(hole => new THREE.Path(orientContour(hole.map(transformPoint), true)));
+    return shape;
+  });
+}
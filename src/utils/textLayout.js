@@ -0,0 +1,278 @@
+import * as THREE from 'three';
+
+/**
+ * Text layout - turns text into 2D shapes in text space (font size 1)
+ * UVTextMapper then scales, rotates and maps these shapes onto the surface UVs.
+ *
+ * Layouts:
+ *   'straight' - glyphs on straight baselines around the origin (click point)
+ *   'arc'      - glyphs placed along a circle that passes through the origin
+ *
+ * Multi-line text ('\n') is stacked with the block centered vertically on the origin.
+ * Alignment decides where each line sits horizontally relative to the origin:
+ * 'left' starts at it, 'center' centers on it, 'right' ends at it.
+ *
+ * Letter spacing adds the same gap after every glyph; kerning adds an extra gap for
+ * specific letter pairs ({ 'AV': -0.05 }). Both are in font-size units (em).
+ *
+ * Characters missing from the font are taken from an optional fallback font. Characters
+ * missing from both would be drawn as '?' by three.js, so callers should check
+ * findMissingGlyphs() and refuse to carve them.
+ */
+
+// Matches the default curveSegments of ShapeGeometry and the edge sampling in UVTextMapper
+const CURVE_SEGMENTS = 12;
+
+export const DEFAULT_ARC_RADIUS = 6;
+export const DEFAULT_LINE_HEIGHT = 1;
+export const MAX_LINES = 3;
+export const DEFAULT_LETTER_SPACING = 0;
+
+/**
+ * Check whether a font has an outline for a character
+ *
+ * @param {Font} font - Loaded three.js font
+ * @param {string} char - Single character
+ * @returns {boolean} True if the typeface contains the glyph
+ */
+export function hasGlyph(font, char) {
+  return Boolean(font.data.glyphs[char]);
+}
+
+/**
+ * List the distinct characters of text that neither the font nor the fallback font contain
+ *
+ * @param {Font} font - Loaded three.js font
+ * @param {string} text - Inscription text ('\n' is ignored)
+ * @param {Font|null} fallbackFont - Font used for characters the main font lacks
+ * @returns {string[]} Missing characters, in order of first appearance
+ */
+export function findMissingGlyphs(font, text, fallbackFont = null) {
+  const missing = [];
+  for (const char of Array.from(text)) {
+    if (char === '\n' || missing.includes(char)) continue;
+    if (!hasGlyph(font, char) && !(fallbackFont && hasGlyph(fallbackFont, char))) {
+      missing.push(char);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Pick the font that draws a character (the fallback only when the main font lacks it)
+ */
+function resolveGlyphFont(font, fallbackFont, char) {
+  if (fallbackFont && !hasGlyph(font, char) && hasGlyph(fallbackFont, char)) {
+    return fallbackFont;
+  }
+  return font;
+}
+
+/**
+ * Get the horizontal advance of a glyph (font size 1)
+ */
+function getGlyphAdvance(font, char) {
+  const glyph = font.data.glyphs[char] || font.data.glyphs['?'];
+  return glyph ? glyph.ha / font.data.resolution : 0;
+}
+
+/**
+ * Get the font's natural distance between baselines (same as three.js generateShapes)
+ */
+function getFontLineHeight(font) {
+  const { boundingBox, underlineThickness, resolution } = font.data;
+  return (boundingBox.yMax - boundingBox.yMin + underlineThickness) / resolution;
+}
+
+/**
+ * Rebuild a shape from sampled points with a point transform applied
+ * Curves are flattened with CURVE_SEGMENTS, so the result triangulates to the same points
+ */
+function transformShape(shape, transformPoint) {
+  const { shape: outline, holes } = shape.extractPoints(CURVE_SEGMENTS);
+  const transformed = new THREE.Shape(outline.map(transformPoint));
+  transformed.holes = holes.map(hole => new THREE.Path(hole.map(transformPoint)));
+  return transformed;
+}
+
+/**
+ * List the distinct adjacent letter pairs in text (pairs never span a line break)
+ *
+ * @param {string} text - Inscription text
+ * @returns {string[]} Pairs such as 'AV', in order of first appearance
+ */
+export function getLetterPairs(text) {
+  const pairs = [];
+  for (const line of text.split('\n')) {
+    const chars = Array.from(line);
+    for (let i = 0; i < chars.length - 1; i++) {
+      const pair = chars[i] + chars[i + 1];
+      if (chars[i] !== ' ' && chars[i + 1] !== ' ' && !pairs.includes(pair)) {
+        pairs.push(pair);
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Get the manual kerning adjustment between two characters
+ */
+function getPairKerning(kerning, left, right) {
+  return (kerning && kerning[left + right]) || 0;
+}
+
+/**
+ * Measure lines and work out where each glyph starts
+ *
+ * @returns {Array<{ glyphs: Array<{ char: string, font: Font, x: number, advance: number }>, baselineY: number }>}
+ */
+function layoutLines(font, text, { align, lineHeight, letterSpacing, kerning, fallbackFont }) {
+  const lines = text.split('\n');
+  const lineAdvance = getFontLineHeight(font) * lineHeight;
+  // Center the block of baselines vertically on the origin (a single line stays on it)
+  const firstBaselineY = ((lines.length - 1) * lineAdvance) / 2;
+
+  return lines.map((line, index) => {
+    const chars = Array.from(line);
+
+    // Pen positions relative to the line start (no spacing after the last glyph)
+    let penX = 0;
+    const glyphs = chars.map((char, i) => {
+      const glyphFont = resolveGlyphFont(font, fallbackFont, char);
+      const advance = getGlyphAdvance(glyphFont, char);
+      const glyph = { char, font: glyphFont, x: penX, advance };
+      penX += advance;
+      if (i < chars.length - 1) {
+        penX += letterSpacing + getPairKerning(kerning, char, chars[i + 1]);
+      }
+      return glyph;
+    });
+    const width = penX;
+
+    let startX = 0;
+    if (align === 'center') startX = -width / 2;
+    else if (align === 'right') startX = -width;
+
+    glyphs.forEach(glyph => { glyph.x += startX; });
+
+    return { glyphs, baselineY: firstBaselineY - index * lineAdvance };
+  });
+}
+
+/**
+ * Lay out glyphs on straight baselines
+ */
+function layoutStraight(lines) {
+  const shapes = [];
+
+  for (const line of lines) {
+    for (const glyph of line.glyphs) {
+      const translate = (pt) => new THREE.Vector2(pt.x + glyph.x, pt.y + line.baselineY);
+      glyph.font.generateShapes(glyph.char, 1).forEach(shape => {
+        shapes.push(transformShape(shape, translate));
+      });
+    }
+  }
+
+  return shapes;
+}
+
+/**
+ * Place glyphs along a circular arc
+ * The circle passes through the origin; arcStartAngle rotates where the text begins.
+ * convex: text sits on the outside of the circle (curves downward, like the top of a wing)
+ * concave: text sits on the inside of the circle (curves upward, like the bottom of a wing)
+ * Extra lines follow concentric circles.
+ */
+function layoutArc(lines, { arcRadius, arcStartAngle, arcDirection }) {
+  const radius = Math.max(arcRadius, 0.1);
+  const startAngle = (arcStartAngle * Math.PI) / 180;
+  const isConvex = arcDirection !== 'concave';
+  // Circle center relative to the origin
+  const centerY = isConvex ? -radius : radius;
+
+  const shapes = [];
+
+  for (const line of lines) {
+    // Lines above the origin sit further out on a convex arc, further in on a concave one
+    // (clamped like the base radius when a line would reach past the center)
+    const lineRadius = Math.max(isConvex ? radius + line.baselineY : radius - line.baselineY, 0.1);
+
+    for (const { char, font, x, advance } of line.glyphs) {
+      const glyphCenter = x + advance / 2;
+
+      // Angle along this line's arc for the glyph center (arc length = straight-layout distance)
+      const angle = startAngle + glyphCenter / lineRadius;
+      const rotation = isConvex ? -angle : angle;
+      const cosR = Math.cos(rotation);
+      const sinR = Math.sin(rotation);
+
+      // Point on the circle where the glyph baseline center sits
+      const baseX = lineRadius * Math.sin(angle);
+      const baseY = centerY + (isConvex ? 1 : -1) * lineRadius * Math.cos(angle);
+
+      // Glyph shapes are generated at the origin, so center them on their advance
+      const transformPoint = (pt) => {
+        const lx = pt.x - advance / 2;
+        const ly = pt.y;
+        return new THREE.Vector2(
+          baseX + lx * cosR - ly * sinR,
+          baseY + lx * sinR + ly * cosR
+        );
+      };
+
+      font.generateShapes(char, 1).forEach(shape => {
+        shapes.push(transformShape(shape, transformPoint));
+      });
+    }
+  }
+
+  return shapes;
+}
+
+/**
+ * Lay out text as 2D shapes (font size 1, origin at the click point)
+ *
+ * @param {Font} font - Loaded three.js font
+ * @param {string} text - Text to lay out ('\n' separates lines)
+ * @param {Object} options
+ * @param {string} options.layout - 'straight' or 'arc'
+ * @param {string} options.align - 'left', 'center' or 'right'
+ * @param {number} options.lineHeight - Multiplier of the font's natural line height
+ * @param {number} options.letterSpacing - Extra gap after each glyph (em)
+ * @param {Object} options.kerning - Extra gap per letter pair, keyed by the two characters (em)
+ * @param {number} options.arcRadius - Arc radius in font-size units
+ * @param {number} options.arcStartAngle - Where the text starts along the arc (degrees)
+ * @param {string} options.arcDirection - 'convex' or 'concave'
+ * @param {Font|null} options.fallbackFont - Font for characters the main font lacks
+ * @returns {THREE.Shape[]} Shapes in text space
+ */
+export function layoutTextShapes(font, text, {
+  layout = 'straight',
+  align = 'left',
+  lineHeight = DEFAULT_LINE_HEIGHT,
+  letterSpacing = DEFAULT_LETTER_SPACING,
+  kerning = {},
+  arcRadius = DEFAULT_ARC_RADIUS,
+  arcStartAngle = 0,
+  arcDirection = 'convex',
+  fallbackFont = null
+} = {}) {
+  const hasSpacing = letterSpacing !== 0 || Object.values(kerning || {}).some(value => value !== 0);
+  const usesFallback = Boolean(fallbackFont) && Array.from(text).some(char =>
+    resolveGlyphFont(font, fallbackFont, char) === fallbackFont
+  );
+
+  // Single left-aligned straight line in one font without spacing: exactly what generateShapes produces
+  if (layout !== 'arc' && align === 'left' && !hasSpacing && !usesFallback && !text.includes('\n')) {
+    return font.generateShapes(text, 1);
+  }
+
+  const lines = layoutLines(font, text, { align, lineHeight, letterSpacing, kerning, fallbackFont });
+
+  if (layout === 'arc') {
+    return layoutArc(lines, { arcRadius, arcStartAngle, arcDirection });
+  }
+  return layoutStraight(lines);
+}
@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { zipSync, strToU8 } from 'three/examples/jsm/libs/fflate.module.js';
+import { getUnitScale } from './stlExporter.js';
+
+/**
+ * 3MF export - the carved mesh in millimetres plus order metadata, for print partners
+ *
+ * A 3MF file is a zip package:
+ *   [Content_Types].xml, _rels/.rels    Package parts and relationships
+ *   3D/3dmodel.model                    Mesh (shared vertices + triangles) and metadata
+ *   Metadata/thumbnail.png              Optional preview
+ *
+ * Order details (confirmation number, inscriptions, fonts, model variant) are stored as
+ * botai:* metadata so a printed part can be traced to its order without the JSON file.
+ */
+
+const CORE_NAMESPACE = 'http://schemas.microsoft.com/3dmanufacturing/core/2015/02';
+const BOTAI_NAMESPACE = 'urn:botai:3mf:order';
+const MODEL_PATH = '3D/3dmodel.model';
+const THUMBNAIL_PATH = 'Metadata/thumbnail.png';
+
+const MODEL_RELATIONSHIP = 'http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel';
+const THUMBNAIL_RELATIONSHIP = 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/thumbnail';
+
+// Helper: Escape text for XML attributes and content
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Helper: Format a coordinate (3MF wants plain decimals; trims float noise)
+const formatNumber = (value) => String(Number(value.toFixed(5)));
+
+/**
+ * Describe an order as 3MF metadata
+ *
+ * @param {Object} design - Serialized design or order JSON (see designSerializer.serializeDesign)
+ * @param {Object} options
+ * @param {string} options.confirmationNumber - Order confirmation number (optional for designs)
+ * @param {string} options.modelVariant - Bowtie model the mesh was carved from (e.g. "morpheus (lofi)")
+ * @returns {Object} Metadata by name (core names like Title, plus botai:* names)
+ */
+export function getOrderMetadata(design, { confirmationNumber = design.confirmationNumber, modelVariant = design.modelId } = {}) {
+  const fonts = design.fonts || {};
+  const fontName = (id) => fonts[id]?.name || id;
+  const usedFontIds = [...new Set(design.inscriptions
+    .filter(i => i.type !== 'svg')
+    .flatMap(i => (i.fallbackFont ? [i.font, i.fallbackFont] : [i.font])))];
+
+  const inscriptions = design.inscriptions.map((inscription, index) => {
+    const content = inscription.type === 'svg'
+      ? `Logo "${inscription.svgName || 'SVG'}"`
+      : `"${inscription.text.replace(/\n/g, ' / ')}" in ${fontName(inscription.font)}${inscription.fallbackFont ? ` (fallback ${fontName(inscription.fallbackFont)})` : ''}`;
+    return `${index + 1}. ${content}, ${inscription.mode || 'engrave'}`;
+  });
+
+  const metadata = {
+    Title: confirmationNumber ? `Botai Custom Inscription-${confirmationNumber}` : 'Botai Custom Inscription',
+    Application: 'Botai Inscription',
+    CreationDate: new Date().toISOString().slice(0, 10),
+    Description: `Bowtie with ${inscriptions.length} inscription${inscriptions.length === 1 ? '' : 's'}`,
+    'botai:Inscriptions': inscriptions.join('\n'),
+    'botai:Fonts': usedFontIds.map(id => `${fontName(id)} (sha256 ${fonts[id]?.hash || 'not recorded'})`).join('\n'),
+    'botai:ModelVariant': modelVariant || ''
+  };
+  if (confirmationNumber) {
+    metadata['botai:ConfirmationNumber'] = confirmationNumber;
+  }
+  return metadata;
+}
+
+/**
+ * Build the 3D model part: one object with shared vertices, in millimetres
+ */
+function buildModelXML(geometry, metadata, unitScale) {
+  // 3MF meshes share vertices between triangles; merge the carved (triangle soup) geometry
+  const positionsOnly = new THREE.BufferGeometry();
+  positionsOnly.setAttribute('position', geometry.attributes.position);
+  if (geometry.index) positionsOnly.setIndex(geometry.index);
+  const merged = mergeVertices(positionsOnly);
+
+  const positions = merged.attributes.position.array;
+  const indices = merged.index.array;
+
+  const vertices = [];
+  for (let i = 0; i < positions.length; i += 3) {
+    vertices.push(`<vertex x="${formatNumber(positions[i] * unitScale)}" y="${formatNumber(positions[i + 1] * unitScale)}" z="${formatNumber(positions[i + 2] * unitScale)}"/>`);
+  }
+
+  // Triangles must reference three different vertices
+  const triangles = [];
+  for (let i = 0; i < indices.length; i += 3) {
+    const [v1, v2, v3] = [indices[i], indices[i + 1], indices[i + 2]];
+    if (v1 !== v2 && v2 !== v3 && v1 !== v3) {
+      triangles.push(`<triangle v1="${v1}" v2="${v2}" v3="${v3}"/>`);
+    }
+  }
+
+  const metadataXML = Object.entries(metadata)
+    .map(([name, value]) => `  <metadata name="${escapeXML(name)}"${name.startsWith('botai:') ? ' preserve="1"' : ''}>${escapeXML(value)}</metadata>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter" xml:lang="en-US" xmlns="${CORE_NAMESPACE}" xmlns:botai="${BOTAI_NAMESPACE}">
+${metadataXML}
+  <resources>
+    <object id="1" type="model">
+      <mesh>
+        <vertices>
+${vertices.join('\n')}
+        </vertices>
+        <triangles>
+${triangles.join('\n')}
+        </triangles>
+      </mesh>
+    </object>
+  </resources>
+  <build>
+    <item objectid="1"/>
+  </build>
+</model>
+`;
+}
+
+/**
+ * Build a 3MF package
+ *
+ * @param {THREE.BufferGeometry} geometry - Mesh to export (model units)
+ * @param {Object} options
+ * @param {Object} options.metadata - Metadata by name (see getOrderMetadata)
+ * @param {Uint8Array|null} options.thumbnail - PNG preview (optional)
+ * @param {number} options.unitScale - Millimetres per model unit
+ * @returns {Uint8Array} 3MF file
+ */
+export function geometryTo3MF(geometry, { metadata = {}, thumbnail = null, unitScale = getUnitScale() } = {}) {
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+  <Default Extension="png" ContentType="image/png"/>
+</Types>
+`;
+
+  const relationships = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/${MODEL_PATH}" Id="rel0" Type="${MODEL_RELATIONSHIP}"/>${thumbnail ? `
+  <Relationship Target="/${THUMBNAIL_PATH}" Id="rel1" Type="${THUMBNAIL_RELATIONSHIP}"/>` : ''}
+</Relationships>
+`;
+
+  const files = {
+    '[Content_Types].xml': strToU8(contentTypes),
+    '_rels/.rels': strToU8(relationships),
+    [MODEL_PATH]: strToU8(buildModelXML(geometry, metadata, unitScale))
+  };
+  if (thumbnail) {
+    // PNGs are already compressed
+    files[THUMBNAIL_PATH] = [thumbnail, { level: 0 }];
+  }
+
+  return zipSync(files, { level: 6 });
+}
+
+// Helper: Download geometry as a 3MF file locally
+export function download3MF(geometry, filename = 'model.3mf', options = {}) {
+  if (!geometry) {
+    throw new Error('No geometry provided');
+  }
+
+  // Ensure filename ends with .3mf
+  if (!filename.toLowerCase().endsWith('.3mf')) {
+    filename = filename.replace(/\.[^/.]+$/, '') + '.3mf';
+  }
+
+  console.log(`📥 Generating 3MF for download: ${filename}...`);
+  const blob = new Blob([geometryTo3MF(geometry, options)], { type: 'model/3mf' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  console.log('✅ Download initiated!');
+}
@@ -0,0 +1,91 @@
+/**
+ * Undo history - past/future stacks of design snapshots
+ *
+ * The app records a snapshot of the state *before* each change. Undo hands back the latest
+ * snapshot and keeps the current state for redo; any new change clears the redo stack.
+ *
+ * Rapid changes to the same thing (typing, dragging a slider) share a coalesceKey so they
+ * undo as one step: a change with the same key as the previous one within coalesceWindow ms
+ * isn't recorded again. Drags pass a per-drag key with coalesceWindow: Infinity.
+ */
+
+export const HISTORY_LIMIT = 100;
+export const COALESCE_WINDOW_MS = 1000;
+
+/**
+ * Create an undo history
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Oldest snapshots are dropped past this many
+ * @returns {Object} History with record/undo/redo/clear and canUndo/canRedo/undoLabel/redoLabel
+ */
+export function createUndoHistory({ limit = HISTORY_LIMIT } = {}) {
+  const past = [];   // { snapshot, label } - newest last
+  const future = []; // { snapshot, label } - next redo last
+  let lastKey = null;
+  let lastTime = 0;
+
+  return {
+    /**
+     * Record the state before a change
+     *
+     * @param {*} snapshot - State to return to on undo
+     * @param {Object} options
+     * @param {string} options.label - What the change does (e.g. "Rotate")
+     * @param {string} options.coalesceKey - Changes with the same key merge into one step
+     * @param {number} options.coalesceWindow - Max ms between merged changes
+     * @returns {boolean} Whether a new step was recorded
+     */
+    record(snapshot, { label, coalesceKey = null, coalesceWindow = COALESCE_WINDOW_MS } = {}) {
+      const now = Date.now();
+      const merges = coalesceKey !== null && coalesceKey === lastKey && now - lastTime <= coalesceWindow;
+      lastKey = coalesceKey;
+      lastTime = now;
+      if (merges) return false;
+
+      past.push({ snapshot, label });
+      if (past.length > limit) past.shift();
+      future.length = 0;
+      return true;
+    },
+
+    /**
+     * Step back
+     *
+     * @param {*} current - Current state (kept for redo)
+     * @returns {*} Snapshot to restore, or null if there is nothing to undo
+     */
+    undo(current) {
+      const entry = past.pop();
+      if (!entry) return null;
+      future.push({ snapshot: current, label: entry.label });
+      lastKey = null;
+      return entry.snapshot;
+    },
+
+    /**
+     * Step forward again after an undo
+     *
+     * @param {*} current - Current state (kept for undo)
+     * @returns {*} Snapshot to restore, or null if there is nothing to redo
+     */
+    redo(current) {
+      const entry = future.pop();
+      if (!entry) return null;
+      past.push({ snapshot: current, label: entry.label });
+      lastKey = null;
+      return entry.snapshot;
+    },
+
+    clear() {
+      past.length = 0;
+      future.length = 0;
+      lastKey = null;
+    },
+
+    get canUndo() { return past.length > 0; },
+    get canRedo() { return future.length > 0; },
+    get undoLabel() { return past[past.length - 1]?.label || null; },
+    get redoLabel() { return future[future.length - 1]?.label || null; }
+  };
+}
@@ -0,0 +1,37 @@
+import { carveInscriptions } from '../utils/carvePipeline';
+import { initBooleanBackends } from '../utils/booleanBackends';
+import { buffersToGeometry, geometryToBuffers, getTransferables } from '../utils/geometryBuffers';
+
+/**
+ * Carve worker - runs the inscription CSG pipeline off the main thread
+ *
+ * Message in:  { type: 'carve', base, tools: [{ label, operation: 'subtract' | 'union', buffers }], clip, simplify }
+ * Messages out:
+ *   { type: 'progress', stage: 'subtract' | 'emboss' | 'union', step, totalSteps, label }
+ *   { type: 'done', result }  (result.userData.csgBackends lists the backend used per step)
+ *   { type: 'error', message }
+ *
+ * CSG evaluation is synchronous, so a running carve is cancelled by terminating the worker.
+ */
+self.onmessage = async (event) => {
+  const { type, base, tools, clip, simplify } = event.data;
+  if (type !== 'carve') return;
+
+  try {
+    // Load Manifold before carving; falls back to three-bvh-csg if it can't load
+    await initBooleanBackends();
+
+    const resultGeometry = carveInscriptions({
+      baseGeometry: buffersToGeometry(base),
+      tools: tools.map(({ label, operation, buffers }) => ({ label, operation, geometry: buffersToGeometry(buffers) })),
+      clipGeometry: clip ? buffersToGeometry(clip) : null,
+      simplify,
+      onProgress: (progress) => self.postMessage({ type: 'progress', ...progress })
+    });
+
+    const result = geometryToBuffers(resultGeometry);
+    self.postMessage({ type: 'done', result }, getTransferables(result));
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};